@@ -1,13 +1,28 @@
 import { callStrictJson, ENGINES } from "./strict.js";
 import { AnalysisPackSchema } from "./schemas.js";
+import { describeNiche, loadNiche } from "../scoring/niche.js";
 
-export async function analyzeLeadStrict(leadContext) {
+/**
+ * @param {Object} leadContext
+ * @param {Object} [options]
+ * @param {Object} [options.niche] - Niche profile (scoring/niche.js); defaults to DEFAULT_NICHE
+ */
+export async function analyzeLeadStrict(leadContext, { niche = loadNiche() } = {}) {
   const originalLead = leadContext.lead || leadContext.item?.lead || {};
 
   const system =
-    "You are a growth + technical auditor for local businesses. " +
+    `You are a growth + technical auditor for local businesses (${describeNiche(niche)}). ` +
     "Return ONLY the JSON that matches the provided schema. " +
-    "Do not add extra keys. Do not rename keys.";
+    "Do not add extra keys. Do not rename keys.\n\n" +
+    "EVIDENCE RULES (mobile/desktop hold only measured, stable values; quote nothing else, " +
+    "and when a list is empty or missing report fewer issues instead of guessing):\n" +
+    "- tech_seo.issues: from failed_audits (seo, accessibility, best_practices), each evidence naming the audit title " +
+    "and its items count (e.g. 'Image elements do not have [alt] attributes: 7 items'). " +
+    "meta_ok is false when meta-description or document-title is among them.\n" +
+    "- performance.findings: what is too slow or heavy comes from budget_failures, with value, limit and over_by " +
+    "(e.g. 'Largest Contentful Paint 4,800 ms vs a 2,500 ms budget, 2,300 ms (92%) over'); a budget not in the list is not exceeded. " +
+    "Then name the cause from mobile.third_party_costs: the tool (or entity) with its main_thread_ms, blocking_ms and transfer_kib " +
+    "(e.g. 'Doctolib widget: 900 ms main thread, 310 ms blocking').";
 
   // compact input (manje tokena)
   const compact = {
@@ -29,14 +29,28 @@ export function buildLeadHeader({ lead, analysis, siteScrape }) {
     normalizeNullable(siteScrape?.extracted?.address) ||
     null;
 
+  // Stage 1 output has lead.reviews; older files only the raw Places columns
+  const reviewSource = (lead?.reviews && !Array.isArray(lead.reviews) ? lead.reviews : null) ||
+    (lead?.rating || lead?.user_ratings_total
+      ? { rating: Number(lead.rating) || null, count: Number(lead.user_ratings_total) || null }
+      : null);
+
   const reviews =
-    lead?.reviews
+    reviewSource
       ? {
-          rating: lead.reviews.rating ?? null,
-          count: lead.reviews.count ?? null,
+          rating: reviewSource.rating ?? null,
+          count: reviewSource.count ?? null,
         }
       : null;
 
+  const google = lead?.place_id
+    ? {
+        place_id: lead.place_id,
+        maps_url: lead.maps_url ?? null,
+        business_status: lead.business_status ?? null,
+      }
+    : null;
+
   return {
     name: lead?.name || siteScrape?.extracted?.brand_name || "unbekannt",
     website_url,
@@ -44,6 +58,7 @@ export function buildLeadHeader({ lead, analysis, siteScrape }) {
     phones,
     emails,
     reviews,
+    google,
     source: {
       google: true,
       website: Boolean(siteScrape),
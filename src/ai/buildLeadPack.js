@@ -2,6 +2,8 @@ import { callStrictJson } from "./strict.js";
 import { LeadPackSchema } from "./leadPackSchema.js";
 import { clampText } from "./lengthGuards.js";
 import { buildLeadHeader } from "./buildLeadHeader.js";
+import { buildPlacesEvidence } from "./buildPlacesEvidence.js";
+import { describeNiche, loadNiche } from "../scoring/niche.js";
 
 function normalizeNullable(v) {
   if (!v) return null;
@@ -10,8 +12,16 @@ function normalizeNullable(v) {
   return s;
 }
 
-export async function buildLeadPack({ lead, analysis, siteScrape }) {
+/**
+ * @param {Object} params
+ * @param {Object} params.lead
+ * @param {Object} params.analysis - analyzeLeadStrict() result
+ * @param {Object} params.siteScrape - summarizeSiteTo10() result
+ * @param {Object} [params.niche] - Niche profile (scoring/niche.js); defaults to DEFAULT_NICHE
+ */
+export async function buildLeadPack({ lead, analysis, siteScrape, niche = loadNiche() }) {
   const leadHeader = buildLeadHeader({ lead, analysis, siteScrape });
+  const placesEvidence = buildPlacesEvidence(lead);
 
   const leadName = leadHeader.name || "unbekannt";
   const leadPhone = leadHeader.phones?.[0] || "keine Angabe";
@@ -22,7 +32,7 @@ export async function buildLeadPack({ lead, analysis, siteScrape }) {
   const system =
     "- You MUST preserve and use the following Lead Header (JSON): " +
     JSON.stringify(leadHeader) + "\n" +
-    "You are a German-speaking B2B sales closer + conversion engineer. " +
+    `You are a German-speaking B2B sales closer + conversion engineer selling to ${describeNiche(niche)}. ` +
     "Goal: produce a LEAD PACK an operator can read in ~15 seconds, and an email that converts.\n\n" +
 
     "CRITICAL DATA INTEGRITY RULES:\n" +
@@ -40,7 +50,9 @@ export async function buildLeadPack({ lead, analysis, siteScrape }) {
     "- ALWAYS include a recommendation for Call Center (DE + SR operator notes + DE email).\n" +
     "- If a chatbot exists: recommend 'chatbot + call center handoff + lead qualification + after-hours capture + missed-call recovery'.\n" +
     "- If no chatbot: recommend chatbot as #1 and call center as #2.\n" +
-    "- Always include one modern, realistic hook: intent-based routing OR missed-call recovery OR after-hours lead capture.\n\n" +
+    "- Always include one modern, realistic hook: intent-based routing OR missed-call recovery OR after-hours lead capture.\n" +
+    "- Ground that hook in placesEvidence when present: after-hours lead capture → cite closed days / closing time from opening_hours; " +
+    "missed-call recovery → paraphrase a phone_complaints review. Never claim the business is hard to reach without such a review.\n\n" +
 
     "LANGUAGE RULES (strict):\n" +
     "- 'ZA OPERATERA (DE)' and 'EMAIL (DE)' must be German.\n" +
@@ -99,9 +111,9 @@ export async function buildLeadPack({ lead, analysis, siteScrape }) {
         "EMAIL must stay focused: primary offer + one support item. " +
         "Everything else goes to DESCRIPTION_OVERALL and UPSELL_MENU.",
       preferred_cta: "short_call",
-      niche: "lead capture / local business",
+      niche: `lead capture / ${describeNiche(niche)}`,
     },
-    input_facts: { lead, analysis, leadHeader, siteScrape },
+    input_facts: { lead, analysis, leadHeader, siteScrape, placesEvidence },
     output_rules: {
       email_de_sentence_range: [5, 8],          // smanjeno
       tech_points_range: [3, 5],                 // opciono
@@ -139,6 +151,9 @@ export async function buildLeadPack({ lead, analysis, siteScrape }) {
     },
   };
 
+  // Evidence behind the missed-call / after-hours hooks (null for non-Places leads)
+  pack.places_evidence = placesEvidence;
+
   // --- POST-PROCESSING: Osiguraj lead_info ---
   if (pack.lead_info) {
     pack.lead_info.name = leadHeader.name || leadName;
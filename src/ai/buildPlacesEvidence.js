@@ -0,0 +1,136 @@
+import { clampText } from "./lengthGuards.js";
+
+const DAY_NAMES = ["Sunday", "Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday"];
+
+// Review mentions the phone / reaching the practice (DE + EN). Only phrases
+// about calls: "answered all my questions", "within easy reach" or
+// "gut mit der U-Bahn erreichbar" are not
+const PHONE_PATTERN = new RegExp(
+  [
+    // DE
+    "telefon|(nicht|nie|kaum|schwer|schlecht)\\s+(zu\\s+)?erreich|unerreichbar|anruf|rückruf|zurückgerufen|mailbox|anrufbeantworter|besetzt",
+    // EN
+    "phone|voicemail|call ?backs?|called back|calls?\\s+(were|was|went|are|is|go)",
+    "(can't|cannot|couldn't|could not|unable to|hard to|impossible to|never)\\s+(get through|reach)",
+    "(nobody|no one|never)\\s+(ever\\s+)?(answers|picks up)",
+    "answer(s|ed|ing)?\\s+(the\\s+|my\\s+|their\\s+|any\\s+|a\\s+)?(calls?|phone)",
+  ].join("|"),
+  "i"
+);
+
+// Phone complaint phrases, for reviews that still give 4+ stars. Tied to the
+// phone itself: a bare negation ("nie Probleme", "could not be happier") is praise
+const PHONE_COMPLAINT_PATTERN = new RegExp(
+  [
+    // DE
+    "(nicht|nie|kaum|schwer|schlecht)\\s+(telefonisch\\s+)?(zu\\s+)?erreich",
+    "unerreichbar",
+    "(niemand|keiner|nie)\\s+(geht\\s+)?(ran|ans telefon)",
+    "(nimmt|hebt)\\s+(niemand|keiner|nie)\\s+ab",
+    "(kein|keinen)\\s+rückruf",
+    "(nie|nicht)\\s+zurückgerufen",
+    "(immer|ständig|dauernd)\\s+besetzt",
+    // EN
+    "(nobody|no one|never|doesn't|don't|didn't|won't)\\s+(ever\\s+)?(answers?|picks? up|pick up|called? back|returns?)",
+    "no call ?back",
+    "(can't|cannot|couldn't|could not|impossible to)\\s+(get through|reach)",
+    "straight to voicemail",
+    "unreachable",
+    "(always|constantly)\\s+busy",
+  ].join("|"),
+  "i"
+);
+
+const toMinutes = (time) => {
+  const [h, m] = time.split(":").map(Number);
+  return h * 60 + m;
+};
+
+/**
+ * Derives call-center relevant facts from normalized Places opening hours
+ * (see src/places/providers/fields.js for the shape)
+ */
+function summarizeOpeningHours(hours) {
+  const periods = hours?.periods || [];
+  if (periods.length === 0) {
+    return hours?.weekday_text?.length ? { weekday_text: hours.weekday_text } : null;
+  }
+
+  // A single period without close time means open 24/7
+  const open24_7 = periods.length === 1 && !periods[0].close;
+
+  let weeklyMinutes = 0;
+  let latestClose = null;
+  let latestCloseMinutes = -1; // since midnight of the opening day, so 01:00 the next day beats 20:00
+  for (const period of periods) {
+    if (!period.close) continue;
+    // close_day is missing on data collected before it was stored: then a
+    // close at or before the opening time is the next day
+    const days = period.close_day != null
+      ? (period.close_day - period.day + 7) % 7
+      : toMinutes(period.close) <= toMinutes(period.open) ? 1 : 0;
+    const closesAt = days * 24 * 60 + toMinutes(period.close);
+    weeklyMinutes += closesAt - toMinutes(period.open);
+    if (closesAt > latestCloseMinutes) {
+      latestClose = period.close;
+      latestCloseMinutes = closesAt;
+    }
+  }
+
+  const openDays = new Set(periods.map((p) => p.day));
+  const closedDays = DAY_NAMES.filter((_, day) => !openDays.has(day));
+
+  return {
+    weekday_text: hours.weekday_text || [],
+    open_24_7: open24_7,
+    weekly_open_hours: open24_7 ? 168 : Math.round(weeklyMinutes / 6) / 10,
+    closed_days: open24_7 ? [] : closedDays,
+    latest_close: latestClose,
+    open_evenings: open24_7 || latestCloseMinutes >= 18 * 60,
+    open_weekends: open24_7 || openDays.has(0) || openDays.has(6),
+  };
+}
+
+function toSnippet(review) {
+  return {
+    rating: review.rating ?? null,
+    text: clampText(review.text, 300),
+    relative_time: review.relative_time ?? null,
+  };
+}
+
+/**
+ * Evidence from Google Places details for the missed-call recovery and
+ * after-hours lead capture hooks. Returns null when the lead has no
+ * optional Places details (e.g. hand-made CSV leads).
+ *
+ * @param {Object} lead - Lead as stored by Stage 1
+ * @returns {Object|null}
+ */
+export function buildPlacesEvidence(lead) {
+  // Stage 1 leads carry review texts in place_reviews, raw Places rows in reviews
+  const reviews = lead?.place_reviews || (Array.isArray(lead?.reviews) ? lead.reviews : []);
+  const hours = summarizeOpeningHours(lead?.opening_hours);
+
+  if (!hours && reviews.length === 0 && !lead?.review_summary && !lead?.types) {
+    return null;
+  }
+
+  const mentionsPhone = (r) => PHONE_PATTERN.test(r.text || "");
+  const isComplaint = (r) => (r.rating ?? 5) <= 3 || PHONE_COMPLAINT_PATTERN.test(r.text || "");
+
+  const phoneComplaints = reviews.filter((r) => mentionsPhone(r) && isComplaint(r));
+
+  return {
+    opening_hours: hours,
+    // Outside opening hours every call is missed unless someone picks it up
+    after_hours_gap: hours ? !hours.open_24_7 : null,
+    phone_complaints: phoneComplaints.map(toSnippet),
+    review_snippets: reviews
+      .filter((r) => !phoneComplaints.includes(r))
+      .slice(0, 3)
+      .map(toSnippet),
+    review_summary: lead?.review_summary || null,
+    types: lead?.types || (lead?.primary_type ? [lead.primary_type] : []),
+  };
+}
@@ -3,6 +3,8 @@ import { OpenAI } from "openai"; // OpenAI SDK (DeepSeek compatible)
 import { writeFileSafe } from "../utils/writeFileSafe.js";
 import "dotenv/config";
 import { ENGINES } from "./strict.js";
+import { PRIORITY_THRESHOLDS } from "../scoring/leadScore.js";
+import { describeNiche, loadNiche } from "../scoring/niche.js";
 
 // DeepSeek client (OpenAI‑compatible)
 const deepseek = new OpenAI({
@@ -17,15 +19,15 @@ function csvEscape(value) {
   return `"${escaped}"`;
 }
 
-// Updated system prompt – email templates removed
-const SYSTEM_PROMPT = `TI SI “ClickUp Lead Pack Builder” za B2B prodaju (dental klinike u Nemačkoj).
-Ulaz je jedan JSON lead pack (podaci + emaili + tehničke tačke + upsell + followup + site_report).
+// Updated system prompt – email templates removed; the audience comes from the niche profile
+const buildSystemPrompt = (niche) => `TI SI “ClickUp Lead Pack Builder” za B2B prodaju (${describeNiche(niche)}).
+Ulaz je jedan JSON lead pack (podaci + emaili + tehničke tačke + upsell + followup + site_report + places_evidence + budget_failures).
 
 CILJ: vrati JEDAN JSON objekat koji se uklapa u šemu:
 - task_name: samo ime lida (kratko, sa gradom ako postoji).
 - status: uvek "New Lead"
-- priority: uvek "High"
-- tags: string sa tagovima odvojenim sa ";" (obavezno: berlin;dentist; + 3–6 relevantnih tagova iz podataka, npr. no-email, ga4, gtm, chatbot, performance, no-social, no-booking, callcenter)
+- priority: prepiši lead_score.priority iz ulaza (Urgent, High, Normal ili Low); ako lead_score ne postoji: "High"
+- tags: string sa tagovima odvojenim sa ";" (obavezno: svi tagovi iz lead_tags redom, pa 0–2 dodatna relevantna taga iz podataka, npr. no-email, callcenter)
 - description: “operater miran” playbook, maksimalno koristan i kompletan.
 
 PRAVILA:
@@ -33,12 +35,14 @@ PRAVILA:
 - Nemoj da izmišljaš email/telefon. Ako nema email: jasno napiši “Email: NEMA (uzeti tokom poziva)”.
 - Ne koristi linkove ka nepoznatim stvarima; koristi samo ono što postoji u JSON-u (telefon, sajt, adresa, vendor npr. Doctolib/Cookiebot itd).
 - Izvuci najkorisnije signale iz site_report (npr. nema booking/chat/social/GA4).
+- Ako postoji places_evidence: radno vreme (kada zvati, zatvoreni dani) upiši u LEAD KARTICU, a pritužbe iz phone_complaints (ne javljaju se na telefon) navedi kao problem – samo ako stvarno postoje.
 - Tehničke stvari napiši kratko i u brojkama gde postoje (JS KiB, CSS KiB, mobile/desktop score, load time).
+- budget_failures (mobile/desktop) su izmereni prekoračeni budžeti performansi: navedi ih u KLJUČNIM PROBLEMIMA sa vrednošću, limitom i prekoračenjem (value, limit, over_by, over_by_pct); budžet kog nema u listi nije prekoračen.
 - Sve što je na ENG (npr. upsell “why_now/trigger/proof/next_step”) prevedi na SR u description-u.
 - DELIMIČNO: Call Script, kvalifikaciona pitanja i objection handling moraju biti na NEMAČKOM (DE). Ostalo je na SR.
 
 FORMAT description-a (tačno ovim redosledom, jasni naslovi):
-1) LEAD KARTICA (Naziv, Adresa, Telefon, Web, Email, Izvor)
+1) LEAD KARTICA (Naziv, Adresa, Telefon, Web, Email, Izvor, Lead score sa razlozima iz lead_score.breakdown ako postoji)
 2) CILJ POZIVA (10 MIN) (3–5 kratkih rečenica)
 3) 2–5 KLJUČNIH PROBLEMA (iz podataka + site_report)
 4) SKRIPT ZA POZIV (DE) — copy/paste
@@ -58,7 +62,7 @@ const OUTPUT_SCHEMA = {
   properties: {
     task_name: { type: "string" },
     status: { type: "string", enum: ["New Lead"] },
-    priority: { type: "string", enum: ["High"] },
+    priority: { type: "string", enum: PRIORITY_THRESHOLDS.map((t) => t.priority) },
     tags: { type: "string", description: "Semicolon-separated tags" },
     description: { type: "string" },
   },
@@ -69,7 +73,7 @@ const OUTPUT_SCHEMA = {
  * Simple JSON validation against a JSON schema (optional).
  * You can install `ajv` for full validation, but here we only check required fields.
  */
-function validateOutput(obj) {
+function validateOutput(obj, priority = "High", requiredTags = []) {
   const required = OUTPUT_SCHEMA.required;
   for (const field of required) {
     if (!(field in obj)) {
@@ -77,15 +81,25 @@ function validateOutput(obj) {
     }
   }
   if (obj.status !== "New Lead") obj.status = "New Lead"; // enforce
-  if (obj.priority !== "High") obj.priority = "High";
+  obj.priority = priority; // from the rule-based lead score, never the model
+
+  // lead_tags (niche + scoring) always come first
+  const modelTags = String(obj.tags || "").split(";").map((t) => t.trim()).filter(Boolean);
+  obj.tags = [...new Set([...requiredTags, ...modelTags])].join(";");
   return obj;
 }
 
-export async function leadPackToClickUpCsv(leadPackJson, outPath = "./out/clickup/clickup_import.csv") {
+/**
+ * @param {Object} leadPackJson - Lead pack with lead_score and lead_tags
+ * @param {string} [outPath]
+ * @param {Object} [options]
+ * @param {Object} [options.niche] - Niche profile (scoring/niche.js); defaults to DEFAULT_NICHE
+ */
+export async function leadPackToClickUpCsv(leadPackJson, outPath = "./out/clickup/clickup_import.csv", { niche = loadNiche() } = {}) {
   const response = await deepseek.chat.completions.create({
     model: ENGINES.REASONING, // or use ENGINES.SMART from your config
     messages: [
-      { role: "system", content: SYSTEM_PROMPT },
+      { role: "system", content: buildSystemPrompt(niche) },
       { role: "user", content: JSON.stringify(leadPackJson) },
     ],
     max_tokens: 6000,
@@ -114,7 +128,7 @@ export async function leadPackToClickUpCsv(leadPackJson, outPath = "./out/clicku
   }
 
   // Optional validation
-  const out = validateOutput(parsed);
+  const out = validateOutput(parsed, leadPackJson.lead_score?.priority, leadPackJson.lead_tags);
 
   // Build CSV
   const header = "Task Name,Description,Status,Priority,Tags\n";
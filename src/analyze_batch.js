@@ -1,8 +1,10 @@
 // src/analyze_batch.js
-// Batch runner: reads ./out/*.json and runs the SAME pipeline as analyze_one
+// Batch runner: takes Stage 1 results from the lead store (or ./out/*.json
+// when the store is empty) and runs the SAME pipeline as analyze_one
 // Usage:
 //   node src/analyze_batch.js
 //   node src/analyze_batch.js --force
+//   node src/analyze_batch.js --niche=aesthetic_clinics   # scoring weights + tags from niches/<name>.json (default: dentists)
 
 import fs from "fs";
 import path from "path";
@@ -14,9 +16,16 @@ import { analyzeLeadStrict } from "./ai/analyzeLead.js";
 import { buildLeadPack } from "./ai/buildLeadPack.js";
 
 import { scrapeSiteSnapshot } from "./utils/siteScrape.js";
+import { pickQuotableMetrics } from "./pagespeed/aggregate.js";
+import { pickBudgetFailures } from "./pagespeed/budgets.js";
+import { attributeThirdParties } from "./pagespeed/thirdParties.js";
+import { createPageCache } from "./pages/cache.js";
 import { summarizeSiteTo10 } from "./ai/checkHtmlAndUrl.js";
 
 import { leadPackToClickUpCsv } from "./ai/createFinalReport.js";
+import { buildLeadTags, scoreLead } from "./scoring/leadScore.js";
+import { resolveNiche } from "./scoring/niche.js";
+import { openLeadStore } from "./store/leadStore.js";
 
 // -------------------- CONFIG --------------------
 const INPUT_DIR = "./out";
@@ -35,6 +44,18 @@ function sleep(ms) {
   return new Promise((r) => setTimeout(r, ms));
 }
 
+/**
+ * Stage 1 results in the lead store, in the same shape as discoverOutJsonFiles
+ */
+function discoverStoreLeads(store) {
+  return store.listCollectedLeads().map(({ lead_key }) => ({
+    filename: `${lead_key} (store)`,
+    basename: lead_key,
+    inStore: true,
+    load: () => ({ item: store.getLatestItem(lead_key) }),
+  }));
+}
+
 function discoverOutJsonFiles() {
   ensureDir(INPUT_DIR);
 
@@ -50,11 +71,12 @@ function discoverOutJsonFiles() {
     .map((filename) => {
       const filepath = path.join(INPUT_DIR, filename);
       const basename = path.basename(filename, ".json");
-      return { filename, filepath, basename };
+      return { filename, filepath, basename, inStore: false, load: () => readJson(filepath) };
     });
 }
 
-function isAlreadyAnalyzed(basename) {
+function isAlreadyAnalyzed(basename, store) {
+  if (store?.hasLeadPack(basename)) return true;
   const outPath = path.join(FINAL_DIR, `${basename}.json`);
   return fs.existsSync(outPath);
 }
@@ -68,6 +90,7 @@ function prepareLeadContext(item) {
     signals: item.signals ?? null,
     stack: item.stack ?? null,
     snapshot: item.snapshot ?? null,
+    pages: item.pages ?? [],
   };
 }
 
@@ -90,7 +113,7 @@ async function withRetries(fn, label) {
   throw lastErr;
 }
 
-async function saveOutputsByBasename(basename, leadPack) {
+async function saveOutputsByBasename(basename, leadPack, niche) {
   ensureDir(FINAL_DIR);
   ensureDir(CLICKUP_DIR);
 
@@ -98,7 +121,7 @@ async function saveOutputsByBasename(basename, leadPack) {
   const csvPath = path.join(CLICKUP_DIR, `${basename}.csv`);
 
   writeJson(jsonPath, leadPack);
-  await leadPackToClickUpCsv(leadPack, csvPath);
+  await leadPackToClickUpCsv(leadPack, csvPath, { niche });
 
   return { jsonPath, csvPath };
 }
@@ -121,15 +144,26 @@ async function saveErrorPack(basename, itemOrNull, err) {
   return errorPath;
 }
 
+function saveStoreError(store, basename, runId, err) {
+  try {
+    store?.saveLeadPack(basename, {
+      runId,
+      error: { message: err?.message || String(err), timestamp: new Date().toISOString() },
+    });
+  } catch {
+    // lead not in the store (legacy out/*.json input)
+  }
+}
+
 // -------------------- CORE --------------------
-async function processFile(fileInfo, options) {
-  const { filename, filepath, basename } = fileInfo;
+async function processFile(fileInfo, options, store) {
+  const { filename, basename } = fileInfo;
 
   console.log("\n" + "─".repeat(70));
   console.log(`📄 ${filename}`);
 
   // skip if already analyzed
-  if (!options.force && isAlreadyAnalyzed(basename)) {
+  if (!options.force && isAlreadyAnalyzed(basename, store)) {
     console.log("⏭️  Skipped (already analyzed). Use --force to re-run.");
     return { status: "skipped" };
   }
@@ -138,7 +172,7 @@ async function processFile(fileInfo, options) {
 
   try {
     // 1) Load input data
-    data = readJson(filepath);
+    data = fileInfo.load();
 
     if (!data?.item) {
       throw new Error("Invalid file format: missing data.item");
@@ -151,6 +185,10 @@ async function processFile(fileInfo, options) {
 
     console.log("✅ Input loaded");
 
+    const leadScore = { ...scoreLead(data.item, options.niche.weights), niche: options.niche.name };
+    const leadTags = buildLeadTags(data.item, leadScore, options.niche);
+    console.log(`🎯 Lead score: ${leadScore.score}/100 (${leadScore.priority})`);
+
     // 2) Prepare lead context
     const leadContext = prepareLeadContext(data.item);
     const websiteUrl = leadContext?.lead?.website_url;
@@ -159,24 +197,46 @@ async function processFile(fileInfo, options) {
       throw new Error("Missing lead.website_url");
     }
 
+  // Only metrics that were stable across PSI runs are quoted
   const { mobile, desktop } = leadContext.pagespeed ?? {};
-  const { categories, lab } = mobile ?? {};
-  const { categories: categoriesDesktop, lab: labDesktop } = desktop ?? {};
+  const { categories, lab, unstable } = pickQuotableMetrics(mobile);
+  const { categories: categoriesDesktop, lab: labDesktop, unstable: unstableDesktop } = pickQuotableMetrics(desktop);
+  const budgetFailures = { mobile: pickBudgetFailures(mobile), desktop: pickBudgetFailures(desktop) };
+  if (unstable.length + unstableDesktop.length > 0) {
+    console.log(`〰️  Not quoting noisy metrics: mobile [${unstable.join(", ")}], desktop [${unstableDesktop.join(", ")}]`);
+  }
   
   const analysis = await withRetries(
     () => analyzeLeadStrict({
-      mobile: { categories, lab },
-      desktop: { categories: categoriesDesktop, lab: labDesktop },
+      mobile: {
+        categories,
+        lab,
+        failed_audits: mobile?.failed_audits ?? null,
+        third_party_costs: attributeThirdParties(mobile, leadContext),
+        budget_failures: budgetFailures.mobile,
+      },
+      desktop: {
+        categories: categoriesDesktop,
+        lab: labDesktop,
+        failed_audits: desktop?.failed_audits ?? null,
+        budget_failures: budgetFailures.desktop,
+      },
       signals: leadContext?.signals ?? {},
       stack: leadContext?.stack ?? {}, 
       lead: leadContext?.lead ?? {},
-    }),
+    }, { niche: options.niche }),
     "analyzeLeadStrict"
   );
   console.log("✅ Lead analysis complete");
 
+  // Pages stored by Stage 1 are reused; only missing ones are fetched
+  const pages = createPageCache(leadContext.pages);
+  if (leadContext.pages.length > 0) {
+    console.log(`♻️  Reusing ${leadContext.pages.length} page(s) from Stage 1`);
+  }
+
   const scrapedTokens = await withRetries(
-    () => scrapeSiteSnapshot(websiteUrl),
+    () => scrapeSiteSnapshot(websiteUrl, { pages }),
     "scrapeSiteSnapshot"
   );
   console.log("✅ Website scraped");
@@ -195,13 +255,19 @@ async function processFile(fileInfo, options) {
           lead: data.item.lead,
           analysis,
           siteScrape: siteSummary,
+          niche: options.niche,
         }),
       "buildLeadPack"
     );
+    leadPack.lead_score = leadScore;
+    leadPack.lead_tags = leadTags;
+    leadPack.budget_failures = budgetFailures;
     console.log("✅ Lead pack built");
 
     // 7) Save outputs (use same basename as input file)
-    const { jsonPath, csvPath } = await saveOutputsByBasename(basename, leadPack);
+    const { jsonPath, csvPath } = await saveOutputsByBasename(basename, leadPack, options.niche);
+    // Leads only in out/*.json have no store row to attach the pack to
+    if (fileInfo.inStore) store?.saveLeadPack(basename, { runId: options.runId, pack: leadPack, csvPath });
     console.log(`💾 JSON: ${jsonPath}`);
     console.log(`📊 CSV : ${csvPath}`);
 
@@ -209,6 +275,7 @@ async function processFile(fileInfo, options) {
   } catch (err) {
     console.log(`❌ Error: ${err?.message || err}`);
     const errorPath = await saveErrorPack(basename, data?.item || null, err);
+    saveStoreError(store, basename, options.runId, err);
     console.log(`🧾 Error saved: ${errorPath}`);
     return { status: "failed" };
   } finally {
@@ -216,34 +283,44 @@ async function processFile(fileInfo, options) {
   }
 }
 
-async function main() {
-  const args = process.argv.slice(2);
-  const options = { force: args.includes("--force") || args.includes("-f") };
-
-  ensureDir(FINAL_DIR);
-  ensureDir(CLICKUP_DIR);
+async function runBatch(store, options) {
+  // Store leads first; out/*.json files the store does not know are still analyzed
+  const storeLeads = discoverStoreLeads(store);
+  const storeKeys = new Set(storeLeads.map((f) => f.basename));
+  const fileLeads = discoverOutJsonFiles().filter((f) => !storeKeys.has(f.basename));
+  const files = [...storeLeads, ...fileLeads];
 
-  const files = discoverOutJsonFiles();
+  if (fileLeads.length) {
+    console.log(
+      `ℹ️  ${fileLeads.length} lead(s) only in ${INPUT_DIR}/*.json, not in the lead store (import: npm run store -- import)`
+    );
+  }
 
   if (!files.length) {
-    console.log(`❌ No JSON files found in ${INPUT_DIR}/`);
-    process.exit(1);
+    console.log(`❌ No Stage 1 results in the lead store or ${INPUT_DIR}/`);
+    process.exitCode = 1;
+    return;
   }
 
+  options.runId = store.startRun("analysis", { force: options.force, niche: options.niche.name }).id;
+
   console.log(`🚀 Batch analysis starting: ${files.length} files`);
   if (options.force) console.log("🔄 Force mode ON (re-analyze all)");
+  console.log(`🎯 Niche: ${options.niche.label}`);
 
   let ok = 0,
     failed = 0,
     skipped = 0;
 
   for (const f of files) {
-    const res = await processFile(f, options);
+    const res = await processFile(f, options, store);
     if (res.status === "success") ok++;
     if (res.status === "failed") failed++;
     if (res.status === "skipped") skipped++;
   }
 
+  store.finishRun(options.runId, { success: ok, failed, skipped });
+
   console.log("\n" + "=".repeat(70));
   console.log("✅ BATCH DONE");
   console.log(`✅ success: ${ok}`);
@@ -254,6 +331,24 @@ async function main() {
   console.log("=".repeat(70) + "\n");
 }
 
+async function main() {
+  const args = process.argv.slice(2);
+  const options = {
+    force: args.includes("--force") || args.includes("-f"),
+    niche: resolveNiche(args),
+  };
+
+  ensureDir(FINAL_DIR);
+  ensureDir(CLICKUP_DIR);
+
+  const store = openLeadStore();
+  try {
+    await runBatch(store, options);
+  } finally {
+    store.close();
+  }
+}
+
 main().catch((err) => {
   console.error("❌ Fatal:", err?.message || err);
   process.exit(1);
@@ -6,6 +6,44 @@ export const CONFIG = {
   CRUX_API_KEY: process.env.CRUX_API_KEY,
   OUT_DIR: "./out",
   RESULTS_JSON: "./out/results.json",
+  DB_PATH: process.env.DB_PATH || "./out/leads.db", // SQLite lead store (src/store)
   TEST_LIMIT: Number(process.env.TEST_LIMIT || 0), // 0 = svi
-  DELAY_MS: Number(process.env.DELAY_MS || 400),
+  CONCURRENCY: Number(process.env.CONCURRENCY || 3), // leads in parallel (Stage 1)
+  // Requests per minute per API (0 = unlimited); site fetches also wait
+  // SITE_HOST_GAP_MS between requests to the same host
+  RATE_LIMITS: {
+    PSI_PER_MINUTE: Number(process.env.PSI_PER_MINUTE || 60),
+    CRUX_PER_MINUTE: Number(process.env.CRUX_PER_MINUTE || 120),
+    SITE_PER_MINUTE: Number(process.env.SITE_PER_MINUTE || 120),
+    SITE_HOST_GAP_MS: Number(process.env.SITE_HOST_GAP_MS || 1000),
+  },
+  // Lab data engine (src/pagespeed): "psi" (hosted API), "lighthouse" (local
+  // Chromium) or "auto" (PSI, local Lighthouse when there is no key, the
+  // quota is used up or PSI cannot reach the site)
+  PAGESPEED: {
+    ENGINE: process.env.PAGESPEED_ENGINE || "psi",
+    CHROME_PATH: process.env.CHROME_PATH || undefined, // chrome-launcher finds one when unset
+    // Mobile CPU slowdown; PSI's own machines use 1.2, Lighthouse's default is 4
+    CPU_SLOWDOWN: Number(process.env.LIGHTHOUSE_CPU_SLOWDOWN || 4),
+    // Audits per strategy; with more than one the medians are stored, and the
+    // lead pack only quotes values whose (max - min) / median stays under MAX_SPREAD_PCT
+    RUNS: Math.max(1, Number(process.env.PSI_RUNS || 1)),
+    // One PSI API request; PSI itself gives up on a page after about a minute
+    TIMEOUT_MS: Number(process.env.PSI_TIMEOUT_MS || 90000),
+    MAX_SPREAD_PCT: Number(process.env.PSI_MAX_SPREAD_PCT || 20),
+    // Performance budgets every lead is checked against (src/pagespeed/budgets.js)
+    BUDGETS: {
+      LCP_MS: Number(process.env.BUDGET_LCP_MS || 2500),
+      TBT_MS: Number(process.env.BUDGET_TBT_MS || 200),
+      TOTAL_BYTES: Number(process.env.BUDGET_TOTAL_BYTES || 2 * 1024 * 1024),
+      REQUEST_COUNT: Number(process.env.BUDGET_REQUEST_COUNT || 80),
+    },
+  },
+  // Site page fetches (src/pages), shared by Stage 1 detectors and Stage 2
+  PAGE_FETCH: {
+    USER_AGENT: process.env.PAGE_USER_AGENT || "Mozilla/5.0 (compatible; LeadPipeline/1.0)",
+    TIMEOUT_MS: Number(process.env.PAGE_TIMEOUT_MS || 15000),
+    MAX_BYTES: Number(process.env.PAGE_MAX_BYTES || 900_000),
+    MAX_REDIRECTS: 10,
+  },
 };
\ No newline at end of file
@@ -1,4 +1,7 @@
 // src/crux/crux.js
+import { cruxLimiter } from "../rateLimits.js";
+import { httpError } from "../utils/retry.js";
+
 const CRUX_ENDPOINT = "https://chromeuxreport.googleapis.com/v1/records:queryRecord";
 
 function toOrigin(inputUrl) {
@@ -46,21 +49,24 @@ function normalizeCruxRecord(record) {
   };
 }
 
-async function cruxQuery({ apiKey, body }) {
+async function cruxQuery({ apiKey, body, signal }) {
   if (!apiKey) throw new Error("Missing CRUX_API_KEY in .env");
 
   const url = new URL(CRUX_ENDPOINT);
   url.searchParams.set("key", apiKey);
 
+  await cruxLimiter.take();
+  signal?.throwIfAborted();
   const res = await fetch(url, {
     method: "POST",
+    signal,
     headers: { "content-type": "application/json", "accept": "application/json" },
     body: JSON.stringify(body),
   });
 
   if (!res.ok) {
     const txt = await res.text().catch(() => "");
-    throw new Error(`CrUX failed ${res.status} ${res.statusText}: ${txt.slice(0, 300)}`);
+    throw httpError(`CrUX failed ${res.status} ${res.statusText}: ${txt.slice(0, 300)}`, res);
   }
 
   const json = await res.json();
@@ -68,7 +74,7 @@ async function cruxQuery({ apiKey, body }) {
 }
 
 // Najpraktičnije: uvek radi origin, a page samo ako želiš
-export async function getCrux({ websiteUrl, apiKey, formFactor = "PHONE", includePage = false }) {
+export async function getCrux({ websiteUrl, apiKey, formFactor = "PHONE", includePage = false, signal }) {
   const origin = toOrigin(websiteUrl);
 
   const metrics = [
@@ -80,6 +86,7 @@ export async function getCrux({ websiteUrl, apiKey, formFactor = "PHONE", includ
   const originRecord = await cruxQuery({
     apiKey,
     body: { origin, formFactor, metrics },
+    signal,
   });
 
   let pageRecord = null;
@@ -87,6 +94,7 @@ export async function getCrux({ websiteUrl, apiKey, formFactor = "PHONE", includ
     pageRecord = await cruxQuery({
       apiKey,
       body: { url: websiteUrl, formFactor, metrics },
+      signal,
     });
   }
 
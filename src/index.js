@@ -2,45 +2,47 @@
 // STAGE 1: DATA COLLECTION PIPELINE
 // ============================================================
 // Purpose: Collect raw data from leads and save to individual JSON files
-// Output: out/{sanitized-url}-{hash}.json per lead
+// Output: out/{sanitized-url}-{hash}.json per lead, plus the lead store
+//         (CONFIG.DB_PATH, see src/store)
 //
-// Usage: node src/index.js
+// Usage: node src/index.js [--force | --retry-partial] [--only=a,b] [--skip=c]
+// Stages: src/stages (pagespeed, signals, crux, stack)
 // ============================================================
 
 import { CONFIG } from "./config.js";
-import { LeadSchema } from "./schemas.js";
-import { readCsv } from "./io/csv.js";
+import { LeadSchema, NoWebsiteLeadSchema, hasWebsite } from "./schemas.js";
+import { writeCsv } from "./io/csv.js";
+import { readLeadRows } from "./io/leads.js";
 import { ensureDir, writeJson } from "./io/write.js";
-import { sleep } from "./utils/sleep.js";
-import { runPageSpeed } from "./pagespeed/psi.js";
-import { collectSignals } from "./signals/crawl.js";
-import { getCrux } from "./crux/crux.js";
-import { fetchHtmlWithHeaders, detectStack } from "./stack/index.js";
+import { readJson } from "./io/readJson.js";
+import { getStageNames, selectStages } from "./stages/index.js";
+import { runStage } from "./stages/runner.js";
+import { createPageCache } from "./pages/cache.js";
+import { storePageBodies } from "./pages/bodies.js";
+import { openLeadStore } from "./store/leadStore.js";
 import { sanitizeFileName } from "./utils/sanitizeFileName.js";
+import crypto from "crypto";
 import fs from "fs";
+import pLimit from "p-limit";
 // ============================================================
 // CONFIGURATION
 // ============================================================
 
 const PIPELINE_CONFIG = {
   STAGE_NAME: "DATA_COLLECTION",
+  VERSION: "1.3.0", // item.pipeline_version
   OUTPUT_DIR: CONFIG.OUT_DIR || "./out",
-  BATCH_SIZE: 1, // Process one at a time for stability
-  RETRY_ATTEMPTS: 2,
-  RETRY_DELAY_MS: 5000,
+  CONCURRENCY: Math.max(1, CONFIG.CONCURRENCY || 1), // Leads in flight; API limits live in rateLimits.js
 };
 
+// Lead store (src/store) and this run ({ id, run_key, started_at }), opened in main()
+let leadStore = null;
+let currentRun = null;
+
 // ============================================================
 // TYPES & CONSTANTS
 // ============================================================
 
-const ProcessingStage = {
-  PAGESPEED: "pagespeed",
-  SIGNALS: "signals",
-  CRUX: "crux",
-  STACK: "stack",
-};
-
 const ResultStatus = {
   SUCCESS: "success",
   PARTIAL: "partial",
@@ -52,17 +54,24 @@ const ResultStatus = {
 // ============================================================
 
 /**
- * Validates CSV rows and separates valid leads from errors
+ * Validates lead rows and separates valid leads, leads without a website
+ * (nothing to audit, but still callable) and errors
  */
 function validateLeads(rows) {
   const validLeads = [];
+  const noWebsiteLeads = [];
   const errors = [];
 
   rows.forEach((row, index) => {
-    const result = LeadSchema.safeParse(row);
+    const withWebsite = hasWebsite(row);
+    const result = withWebsite
+      ? LeadSchema.safeParse(row)
+      : NoWebsiteLeadSchema.safeParse(row);
     
-    if (result.success) {
+    if (result.success && withWebsite) {
       validLeads.push(result.data);
+    } else if (result.success) {
+      noWebsiteLeads.push(result.data);
     } else {
       errors.push({
         row: index + 2,
@@ -72,7 +81,7 @@ function validateLeads(rows) {
     }
   });
 
-  return { validLeads, errors };
+  return { validLeads, noWebsiteLeads, errors };
 }
 
 function logValidationSummary(validation) {
@@ -80,6 +89,9 @@ function logValidationSummary(validation) {
   console.log("📋 STAGE 1: DATA COLLECTION - VALIDATION SUMMARY");
   console.log("=".repeat(70));
   console.log(`✅ Valid leads: ${validation.validLeads.length}`);
+  if (validation.noWebsiteLeads.length > 0) {
+    console.log(`📵 Leads without website: ${validation.noWebsiteLeads.length}`);
+  }
   
   if (validation.errors.length > 0) {
     console.log(`❌ Invalid rows: ${validation.errors.length}`);
@@ -149,11 +161,11 @@ class DataCollectionProgress {
     return minutes > 0 ? `${minutes}m ${seconds}s` : `${seconds}s`;
   }
 
-  logHeader(lead) {
-    console.log("\n" + "─".repeat(70));
-    console.log(`📦 [${this.current + 1}/${this.total}] ${this.getPercentage()}% • ETA: ${this.getETA()}`);
-    console.log(`🌐 ${lead.website_url}`);
-    console.log("─".repeat(70));
+  logHeader(lead, index, log = console.log) {
+    log("\n" + "─".repeat(70));
+    log(`📦 [${index + 1}/${this.total}] ${this.getPercentage()}% • ETA: ${this.getETA()}`);
+    log(`🌐 ${lead.website_url}`);
+    log("─".repeat(70));
   }
 
   logFinalSummary() {
@@ -183,96 +195,36 @@ class DataCollectionProgress {
 }
 
 // ============================================================
-// PIPELINE STAGES
+// LOGGING
 // ============================================================
 
-async function executePageSpeedStage(url) {
-  console.log("  📊 PageSpeed Insights...");
-  
-  try {
-    const [mobile, desktop] = await Promise.all([
-      runPageSpeed({ url, strategy: "mobile", apiKey: CONFIG.PSI_API_KEY }),
-      runPageSpeed({ url, strategy: "desktop", apiKey: CONFIG.PSI_API_KEY }),
-    ]);
-
-    const mobileScore = mobile.categories.performance;
-    const desktopScore = desktop.categories.performance;
-    console.log(`    ✅ Mobile: ${mobileScore}% | Desktop: ${desktopScore}%`);
-    
-    return { mobile, desktop };
-  } catch (error) {
-    console.log(`    ❌ Failed: ${error.message}`);
-    throw error;
-  }
-}
-
-async function executeSignalsStage(url) {
-  console.log("  🔍 Signals collection...");
-  
-  try {
-    const signals = await collectSignals(url);
-    
-    const chatbot = signals.chatbot.has_chatbot ? signals.chatbot.vendor : "none";
-    const booking = signals.booking.type || "none";
-    
-    console.log(`    ✅ Chat: ${chatbot} | Booking: ${booking}`);
-    
-    return signals;
-  } catch (error) {
-    console.log(`    ❌ Failed: ${error.message}`);
-    throw error;
-  }
-}
-
-async function executeCruxStage(url) {
-  console.log("  📈 CrUX data...");
-  
-  try {
-    const crux = await getCrux({
-      websiteUrl: url,
-      apiKey: CONFIG.PSI_API_KEY,
-      formFactor: "PHONE",
-      includePage: false,
-    });
-    
-    const category = crux?.origin?.overall_category || "unknown";
-    console.log(`    ✅ CrUX: ${category}`);
-    
-    return crux;
-  } catch (error) {
-    console.log(`    ⚠️  CrUX unavailable (${error.message})`);
-    return null;
-  }
-}
-
-async function executeStackStage(url) {
-  console.log("  🔧 Stack detection...");
-  
-  try {
-    const response = await fetchHtmlWithHeaders(url);
-    const stack = {
-      fetched_from: response.finalUrl,
-      status: response.status,
-      ...detectStack({ html: response.html, headers: response.headers }),
-    };
-    
-    const techCount = stack.technologies?.length || 0;
-    console.log(`    ✅ ${techCount} technologies detected`);
-    
-    return stack;
-  } catch (error) {
-    console.log(`    ⚠️  Stack unavailable (${error.message})`);
-    return null;
-  }
+/**
+ * Per-lead logger. With several leads in flight, lines are buffered and
+ * printed together when the lead finishes, so outputs do not interleave.
+ */
+function createLeadLogger(buffered) {
+  const lines = [];
+
+  return {
+    log: (line) => (buffered ? lines.push(line) : console.log(line)),
+    flush() {
+      if (lines.length > 0) console.log(lines.join("\n"));
+      lines.length = 0;
+    },
+  };
 }
 
 // ============================================================
 // FILE MANAGEMENT
 // ============================================================
 
+// Output basename; also the lead's key in the lead store
+function getLeadKey(lead) {
+  return sanitizeFileName(lead.website_url);
+}
+
 function getOutputFilePath(lead) {
-  const filename = sanitizeFileName(lead.website_url) + ".json";
-  return `${PIPELINE_CONFIG.OUTPUT_DIR}/${filename}`;
+  return `${PIPELINE_CONFIG.OUTPUT_DIR}/${getLeadKey(lead)}.json`;
 }
 
 function checkIfAlreadyProcessed(lead) {
@@ -284,22 +236,118 @@ function checkIfAlreadyProcessed(lead) {
   }
 }
 
+/**
+ * Loads a lead's existing Stage 1 result (null if missing or unreadable)
+ */
+function loadExistingResult(lead) {
+  try {
+    return readJson(getOutputFilePath(lead)).item || null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Stages that failed (listed in result.errors) or never ran
+ * (e.g. everything after a failed PageSpeed call)
+ */
+function getStagesToRetry(result) {
+  return getStageNames().filter(
+    (stage) => result.errors?.[stage] || result[stage] == null
+  );
+}
+
+/**
+ * Stored pages after a re-run: pages fetched now replace older copies
+ */
+function mergePages(previousPages = [], fetchedPages) {
+  const byUrl = new Map((previousPages || []).map((page) => [page.url, page]));
+  for (const page of fetchedPages) byUrl.set(page.url, page);
+  return [...byUrl.values()];
+}
+
+/**
+ * Saves the result to the lead store and, for compatibility, to out/<lead_key>.json
+ */
 async function saveLeadData(lead, result) {
+  leadStore?.saveCollection(getLeadKey(lead), result, {
+    runId: currentRun?.id,
+    stages: getStageNames(),
+  });
+
   const filepath = getOutputFilePath(lead);
   writeJson(filepath, { item: result });
   return filepath;
 }
 
+/**
+ * Saves leads without a website as a separate list for the call center.
+ * The "_" prefix keeps Stage 2 from picking the file up as a lead.
+ */
+function saveNoWebsiteLeads(leads) {
+  const basePath = `${PIPELINE_CONFIG.OUTPUT_DIR}/_no_website_leads`;
+  const columns = [
+    "name",
+    "phone",
+    "email",
+    "address",
+    "place_id",
+    "rating",
+    "user_ratings_total",
+    "maps_url",
+    "business_status",
+    "found_by",
+  ];
+
+  writeJson(`${basePath}.json`, { count: leads.length, leads });
+  writeCsv(`${basePath}.csv`, leads, columns);
+  return `${basePath}.csv`;
+}
+
 // ============================================================
 // LEAD PROCESSING
 // ============================================================
 
-async function processLead(lead, progress, options = {}) {
-  progress.logHeader(lead);
+async function processLead(lead, progress, options = {}, index = 0) {
+  const logger = createLeadLogger(PIPELINE_CONFIG.CONCURRENCY > 1);
+
+  try {
+    return await collectLeadData(lead, progress, options, index, logger.log);
+  } finally {
+    logger.flush();
+  }
+}
+
+async function collectLeadData(lead, progress, options, index, log) {
+  progress.logHeader(lead, index, log);
+
+  const selectedStages = options.stages.map((stage) => stage.name);
+  const partialSelection = selectedStages.length < getStageNames().length;
 
   // Check if already processed (skip if force=false)
-  if (!options.force && await checkIfAlreadyProcessed(lead)) {
-    console.log("  ⏭️  Already processed (use --force to reprocess)");
+  let previous = null;
+  if (await checkIfAlreadyProcessed(lead)) {
+    if (!options.force && !options.retryPartial) {
+      log("  ⏭️  Already processed (use --force to reprocess, --retry-partial to fill gaps)");
+      progress.update("skipped");
+      return null;
+    }
+
+    // --force with --only/--skip keeps the data of stages that are not run
+    if (options.retryPartial || partialSelection) {
+      previous = loadExistingResult(lead);
+      if (!previous) {
+        log("  ⚠️  Existing result unreadable, running selected stages from scratch");
+      }
+    }
+  }
+
+  // Retry mode: keep the stages that succeeded, re-run only the rest
+  const retryable = previous && !options.force ? getStagesToRetry(previous) : selectedStages;
+  const pendingStages = new Set(selectedStages.filter((name) => retryable.includes(name)));
+
+  if (pendingStages.size === 0) {
+    log("  ⏭️  Already complete, nothing to retry");
     progress.update("skipped");
     return null;
   }
@@ -309,54 +357,74 @@ async function processLead(lead, progress, options = {}) {
     status: ResultStatus.SUCCESS,
     error: null,
     errors: {},
-    pagespeed: null,
-    signals: null,
-    crux: null,
-    stack: null,
+    ...Object.fromEntries(getStageNames().map((name) => [name, null])),
+    pages: [],
+    attempts: {},
     processed_at: new Date().toISOString(),
     pipeline_stage: "data_collection",
-    pipeline_version: "1.0.0",
+    pipeline_version: PIPELINE_CONFIG.VERSION,
+    run_id: currentRun?.run_key ?? null,
   };
 
+  if (previous) {
+    for (const name of getStageNames()) {
+      if (pendingStages.has(name)) continue;
+      result[name] = previous[name] ?? null;
+      if (previous.errors?.[name]) result.errors[name] = previous.errors[name];
+      if (previous.attempts?.[name]) result.attempts[name] = previous.attempts[name];
+    }
+    result.processed_at = previous.processed_at || result.processed_at;
+    result.retried_at = new Date().toISOString();
+    result.retried_stages = [...pendingStages];
+    log(`  🔁 Re-running stages: ${result.retried_stages.join(", ")}`);
+  } else if (partialSelection) {
+    result.skipped_stages = getStageNames().filter((name) => !pendingStages.has(name));
+  }
+
+  // Attempt history per stage, recorded as each stage runs
+  const historyFor = (name) => (result.attempts[name] = []);
+
+  // Pages fetched for this lead, shared by all stages
+  const pages = createPageCache();
+
+  // Stages run in dependency order; a failed critical stage stops the rest
   let criticalFailure = false;
 
-  // Stage 1: PageSpeed (Critical)
-  try {
-    result.pagespeed = await executePageSpeedStage(lead.website_url);
-  } catch (error) {
-    result.errors[ProcessingStage.PAGESPEED] = error.message;
-    criticalFailure = true;
-  }
+  for (const stage of options.stages) {
+    if (criticalFailure) break;
+    if (!pendingStages.has(stage.name)) continue;
 
-  // Stage 2: Signals (Critical)
-  if (!criticalFailure) {
-    try {
-      result.signals = await executeSignalsStage(lead.website_url);
-    } catch (error) {
-      result.errors[ProcessingStage.SIGNALS] = error.message;
-      criticalFailure = true;
+    const missing = stage.dependsOn.filter((dep) => result[dep] == null);
+    if (missing.length > 0) {
+      result.errors[stage.name] = `Missing dependency: ${missing.join(", ")}`;
+      log(`  ⏭️  ${stage.name}: needs ${missing.join(", ")}`);
+      criticalFailure = stage.critical;
+      continue;
     }
-  }
 
-  // Stage 3: CrUX (Optional)
-  if (!criticalFailure) {
-    const crux = await executeCruxStage(lead.website_url);
-    if (crux) {
-      result.crux = crux;
-    } else {
-      result.errors[ProcessingStage.CRUX] = "Data unavailable";
+    try {
+      result[stage.name] = await runStage(stage, {
+        url: lead.website_url,
+        leadKey: getLeadKey(lead),
+        lead,
+        log,
+        history: historyFor(stage.name),
+        results: result,
+        pages,
+      });
+    } catch (error) {
+      result.errors[stage.name] = error.message;
+      if (stage.critical) {
+        log(`    ❌ Failed: ${error.message}`);
+        criticalFailure = true;
+      } else {
+        log(`    ⚠️  ${stage.name} unavailable (${error.message})`);
+      }
     }
   }
 
-  // Stage 4: Stack (Optional)
-  if (!criticalFailure) {
-    const stack = await executeStackStage(lead.website_url);
-    if (stack) {
-      result.stack = stack;
-    } else {
-      result.errors[ProcessingStage.STACK] = "Detection unavailable";
-    }
-  }
+  // HTML goes to out/pages/ once per hash; the result keeps html_sha256
+  result.pages = storePageBodies(mergePages(previous?.pages, pages.toJSON()));
 
   // Determine status
   if (criticalFailure) {
@@ -366,31 +434,35 @@ async function processLead(lead, progress, options = {}) {
     result.status = ResultStatus.PARTIAL;
   }
 
+  if (previous) {
+    log(`  📈 Status: ${previous.status} → ${result.status}`);
+  }
+
   // Log summary
-  logResultSummary(result);
+  logResultSummary(result, log);
 
   // Save to file
   const filepath = await saveLeadData(lead, result);
-  console.log(`  💾 Saved: ${filepath}`);
+  log(`  💾 Saved: ${filepath}`);
 
   progress.update(result.status);
   
   return result;
 }
 
-function logResultSummary(result) {
+function logResultSummary(result, log = console.log) {
   const icons = {
     [ResultStatus.SUCCESS]: "✅",
     [ResultStatus.PARTIAL]: "⚠️",
     [ResultStatus.FAILED]: "❌",
   };
 
-  console.log(`\n  ${icons[result.status]} Status: ${result.status.toUpperCase()}`);
+  log(`\n  ${icons[result.status]} Status: ${result.status.toUpperCase()}`);
   
   if (Object.keys(result.errors).length > 0) {
-    console.log("  Issues:");
+    log("  Issues:");
     Object.entries(result.errors).forEach(([stage, error]) => {
-      console.log(`    • ${stage}: ${error}`);
+      log(`    • ${stage}: ${error}`);
     });
   }
 }
@@ -399,36 +471,126 @@ function logResultSummary(result) {
 // BATCH PROCESSING
 // ============================================================
 
+/**
+ * Processes leads with up to PIPELINE_CONFIG.CONCURRENCY in flight.
+ * Request pacing is left to the per-API limiters (src/rateLimits.js).
+ */
 async function processBatch(leads, options = {}) {
   const progress = new DataCollectionProgress(leads.length);
-  const results = [];
+  const limit = pLimit(PIPELINE_CONFIG.CONCURRENCY);
 
-  for (const lead of leads) {
-    try {
-      const result = await processLead(lead, progress, options);
-      if (result) {
-        results.push(result);
-      }
-      
-      // Rate limiting
-      if (progress.current < leads.length) {
-        await sleep(CONFIG.DELAY_MS);
-      }
-    } catch (error) {
-      console.error(`  ❌ Unexpected error: ${error.message}`);
-      progress.update(ResultStatus.FAILED);
-    }
+  if (PIPELINE_CONFIG.CONCURRENCY > 1) {
+    console.log(`🧵 Processing up to ${PIPELINE_CONFIG.CONCURRENCY} leads in parallel\n`);
   }
 
+  const settled = await Promise.all(
+    leads.map((lead, index) =>
+      limit(async () => {
+        try {
+          return await processLead(lead, progress, options, index);
+        } catch (error) {
+          console.error(`  ❌ Unexpected error (${lead.website_url}): ${error.message}`);
+          progress.update(ResultStatus.FAILED);
+          return null;
+        }
+      })
+    )
+  );
+
   progress.logFinalSummary();
-  
-  return results;
+
+  return {
+    results: settled.filter(Boolean),
+    counts: {
+      total: progress.total,
+      success: progress.successful,
+      partial: progress.partial,
+      failed: progress.failed,
+      skipped: progress.skipped,
+    },
+  };
+}
+
+// ============================================================
+// RUN MANIFEST
+// ============================================================
+
+function hashFile(filePath) {
+  return crypto.createHash("sha256").update(fs.readFileSync(filePath)).digest("hex");
+}
+
+/**
+ * Describes a run: what went in (leads file, config, flags) and what came out.
+ * Stored with the run in the lead store and as out/runs/<run_id>.json.
+ * API keys are recorded only as set/unset.
+ */
+function buildRunManifest({ run, source, options, counts }) {
+  const finishedAt = new Date();
+
+  return {
+    run_id: run.run_key,
+    stage: "data_collection",
+    pipeline_version: PIPELINE_CONFIG.VERSION,
+    started_at: run.started_at,
+    finished_at: finishedAt.toISOString(),
+    duration_ms: finishedAt - new Date(run.started_at),
+    source,
+    options: {
+      force: options.force,
+      retry_partial: options.retryPartial,
+      stages: options.stages.map((stage) => stage.name),
+    },
+    config: {
+      concurrency: PIPELINE_CONFIG.CONCURRENCY,
+      test_limit: CONFIG.TEST_LIMIT,
+      rate_limits: CONFIG.RATE_LIMITS,
+      page_fetch: CONFIG.PAGE_FETCH,
+      pagespeed: CONFIG.PAGESPEED,
+      psi_api_key: Boolean(CONFIG.PSI_API_KEY),
+      crux_api_key: Boolean(CONFIG.CRUX_API_KEY),
+    },
+    counts,
+    node_version: process.version,
+  };
+}
+
+function saveRunManifest(manifest) {
+  const filepath = `${PIPELINE_CONFIG.OUTPUT_DIR}/runs/${manifest.run_id}.json`;
+  writeJson(filepath, manifest);
+  return filepath;
 }
 
 // ============================================================
 // MAIN
 // ============================================================
 
+/**
+ * Reads --only=a,b and --skip=c into the stages to run
+ */
+function resolveStageSelection(args) {
+  const listArg = (flag) => {
+    const arg = args.find((a) => a.startsWith(`${flag}=`));
+    return arg ? arg.slice(flag.length + 1).split(",").map((s) => s.trim()).filter(Boolean) : [];
+  };
+
+  const { stages, added, dropped } = selectStages({
+    only: listArg("--only"),
+    skip: listArg("--skip"),
+  });
+
+  if (added.length > 0) {
+    console.log(`🧩 Added required stages: ${added.join(", ")}`);
+  }
+  if (dropped.length > 0) {
+    console.log(`🧩 Dropped stages that depend on skipped ones: ${dropped.join(", ")}`);
+  }
+  if (stages.length === 0) {
+    throw new Error("No stages left to run after --only/--skip");
+  }
+
+  return stages;
+}
+
 async function main() {
   console.log("\n🚀 LEAD ENRICHMENT PIPELINE - STAGE 1: DATA COLLECTION\n");
 
@@ -436,15 +598,20 @@ async function main() {
     // Setup
     ensureDir(PIPELINE_CONFIG.OUTPUT_DIR);
 
-    // Load CSV
-    console.log("📂 Loading leads from CSV...");
-    const rows = readCsv(CONFIG.LEADS_CSV);
+    // Load leads (CSV or Places collector JSON)
+    console.log(`📂 Loading leads from ${CONFIG.LEADS_CSV}...`);
+    const rows = readLeadRows(CONFIG.LEADS_CSV);
     console.log(`   Loaded ${rows.length} rows`);
 
     // Validate
     const validation = validateLeads(rows);
     logValidationSummary(validation);
 
+    if (validation.noWebsiteLeads.length > 0) {
+      const noWebsitePath = saveNoWebsiteLeads(validation.noWebsiteLeads);
+      console.log(`📵 No-website leads saved: ${noWebsitePath}\n`);
+    }
+
     if (validation.validLeads.length === 0) {
       console.error("❌ No valid leads found. Exiting.");
       process.exit(1);
@@ -463,15 +630,50 @@ async function main() {
     const args = process.argv.slice(2);
     const options = {
       force: args.includes("--force") || args.includes("-f"),
+      retryPartial: args.includes("--retry-partial"),
+      stages: resolveStageSelection(args),
     };
 
+    if (options.stages.length < getStageNames().length) {
+      console.log(`🧩 Stages: ${options.stages.map((stage) => stage.name).join(", ")}\n`);
+    }
+
     if (options.force) {
       console.log("🔄 Force mode: Re-processing all leads\n");
+    } else if (options.retryPartial) {
+      console.log("🔁 Retry mode: Re-running failed or missing stages of existing results\n");
     }
 
+    leadStore = openLeadStore();
+    currentRun = leadStore.startRun(PIPELINE_CONFIG.STAGE_NAME.toLowerCase(), {
+      leads: CONFIG.LEADS_CSV,
+      force: options.force,
+      retry_partial: options.retryPartial,
+      stages: options.stages.map((stage) => stage.name),
+    });
+    console.log(`🗄️  Lead store: ${CONFIG.DB_PATH} (run ${currentRun.run_key})\n`);
+
     // Process
     console.log(`⚙️  Starting data collection (${leadsToProcess.length} leads)...\n`);
-    await processBatch(leadsToProcess, options);
+    const { counts } = await processBatch(leadsToProcess, options);
+
+    const manifest = buildRunManifest({
+      run: currentRun,
+      options,
+      counts,
+      source: {
+        path: CONFIG.LEADS_CSV,
+        sha256: hashFile(CONFIG.LEADS_CSV),
+        rows: rows.length,
+        valid: validation.validLeads.length,
+        no_website: validation.noWebsiteLeads.length,
+        invalid: validation.errors.length,
+        processed: leadsToProcess.length,
+      },
+    });
+    leadStore.finishRun(currentRun.id, counts, manifest);
+    leadStore.close();
+    console.log(`🧾 Run manifest: ${saveRunManifest(manifest)}\n`);
 
   } catch (error) {
     console.error("\n❌ FATAL ERROR:", error.message);
@@ -1,7 +1,19 @@
 import fs from "fs";
+import path from "path";
 import { parse } from "csv-parse/sync";
 
 export function readCsv(filePath) {
   const csv = fs.readFileSync(filePath, "utf8");
   return parse(csv, { columns: true, skip_empty_lines: true, trim: true });
-}
\ No newline at end of file
+}
+
+export function writeCsv(filePath, rows, columns) {
+  const escape = (v) => `"${String(Array.isArray(v) ? v.join(";") : v ?? "").replace(/"/g, '""')}"`;
+  const lines = [columns.map(escape).join(",")];
+  for (const row of rows) {
+    lines.push(columns.map((key) => escape(row[key])).join(","));
+  }
+
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, lines.join("\n"), "utf8");
+}
@@ -0,0 +1,19 @@
+import { readCsv } from "./csv.js";
+import { readJson } from "./readJson.js";
+
+/**
+ * Reads raw lead rows from a CSV file or from the Places collector JSON
+ * output ({ results: [...] }), which also carries optional Places details
+ */
+export function readLeadRows(filePath) {
+  if (filePath.toLowerCase().endsWith(".json")) {
+    const data = readJson(filePath);
+    const rows = Array.isArray(data) ? data : data?.results;
+    if (!Array.isArray(rows)) {
+      throw new Error(`Invalid leads JSON (expected an array or { results: [] }): ${filePath}`);
+    }
+    return rows;
+  }
+
+  return readCsv(filePath);
+}
@@ -0,0 +1,52 @@
+// src/pages/bodies.js
+// Page HTML kept once per content hash, gzipped:
+//   out/pages/<sha256>.html.gz
+// Stored page records (item.pages in out/*.json and the lead store) carry
+// html_sha256 instead of the body, so snapshots of an unchanged page share
+// one copy.
+
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import zlib from "zlib";
+import { CONFIG } from "../config.js";
+
+const BODIES_DIR = path.join(CONFIG.OUT_DIR, "pages");
+
+function bodyPath(hash) {
+  return path.join(BODIES_DIR, `${hash}.html.gz`);
+}
+
+/**
+ * Writes the HTML of fetched pages to out/pages/ (once per hash) and
+ * returns the records without it; records already stored pass through
+ *
+ * @param {Array<Object>} pages - PageRecords (src/pages/fetchPage.js)
+ * @returns {Array<Object>} Records with html_sha256 instead of html
+ */
+export function storePageBodies(pages) {
+  return pages.map((page) => {
+    if (typeof page.html !== "string") return page;
+
+    const { html, ...record } = page;
+    const hash = crypto.createHash("sha256").update(html).digest("hex");
+    const filePath = bodyPath(hash);
+    if (!fs.existsSync(filePath)) {
+      fs.mkdirSync(BODIES_DIR, { recursive: true });
+      fs.writeFileSync(filePath, zlib.gzipSync(html));
+    }
+    return { ...record, html_sha256: hash };
+  });
+}
+
+/**
+ * A stored page record with its HTML back, or null when the body file is
+ * gone (the page is then fetched again)
+ */
+export function loadPageBody(page) {
+  if (typeof page?.html === "string" || !page?.html_sha256) return page;
+
+  const filePath = bodyPath(page.html_sha256);
+  if (!fs.existsSync(filePath)) return null;
+  return { ...page, html: zlib.gunzipSync(fs.readFileSync(filePath)).toString("utf8") };
+}
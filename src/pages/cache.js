@@ -0,0 +1,99 @@
+// src/pages/cache.js
+// Per-lead page cache: every detector asks the cache for a URL, so each
+// page is downloaded once per run. Stage 1 stores the fetched pages as
+// item.pages (HTML in out/pages/, see ./bodies.js); Stage 2 seeds a cache
+// from them instead of re-crawling.
+
+import { fetchPage } from "./fetchPage.js";
+import { loadPageBody } from "./bodies.js";
+
+/**
+ * Cache key: URL without fragment
+ */
+function pageKey(url) {
+  try {
+    const parsed = new URL(url);
+    parsed.hash = "";
+    return parsed.toString();
+  } catch {
+    return String(url);
+  }
+}
+
+/**
+ * Responses worth fetching again on retry instead of serving from cache
+ */
+function isTransient(page) {
+  return page.status === 429 || page.status >= 500;
+}
+
+/**
+ * Creates a page cache
+ *
+ * @param {Array<Object>} [seed] - PageRecords from a previous run (item.pages); pages whose HTML is gone are fetched again
+ * @returns {{
+ *   get: (url: string, options?: { signal?: AbortSignal }) => Promise<Object>,
+ *   has: (url: string) => boolean,
+ *   toJSON: () => Array<Object>,
+ * }}
+ */
+export function createPageCache(seed = []) {
+  const entries = new Map(); // key -> Promise<PageRecord>
+  const stored = new Map(); // key -> PageRecord (fetched or seeded)
+
+  function remember(page) {
+    stored.set(pageKey(page.url), page);
+    // Also answer requests for the URL the page redirected to
+    if (!entries.has(pageKey(page.final_url))) {
+      entries.set(pageKey(page.final_url), Promise.resolve(page));
+    }
+  }
+
+  for (const page of (seed || []).map(loadPageBody)) {
+    if (!page?.url) continue;
+    entries.set(pageKey(page.url), Promise.resolve(page));
+    remember(page);
+  }
+
+  return {
+    /**
+     * Returns the page for url, fetching it at most once.
+     * Concurrent callers share the in-flight request; failures and
+     * transient statuses are not cached, so a retry fetches again.
+     * `signal` (the stage timeout) cancels the request it starts.
+     */
+    get(url, { signal } = {}) {
+      const key = pageKey(url);
+      if (entries.has(key)) return entries.get(key);
+
+      const request = fetchPage(url, { signal }).then(
+        (page) => {
+          if (isTransient(page)) {
+            entries.delete(key);
+          } else {
+            remember(page);
+          }
+          return page;
+        },
+        (error) => {
+          entries.delete(key);
+          throw error;
+        }
+      );
+
+      entries.set(key, request);
+      return request;
+    },
+
+    has(url) {
+      return entries.has(pageKey(url));
+    },
+
+    /**
+     * Pages fetched or seeded so far, in request order
+     */
+    toJSON() {
+      return [...stored.values()];
+    },
+  };
+}
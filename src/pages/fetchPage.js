@@ -0,0 +1,142 @@
+// src/pages/fetchPage.js
+// Fetches one site page with a single user agent and size/time limits,
+// recording the redirect chain, response headers and timing.
+// Use the page cache (./cache.js) instead of calling this directly.
+
+import { CONFIG } from "../config.js";
+import { withSiteLimits } from "../rateLimits.js";
+
+const { PAGE_FETCH } = CONFIG;
+
+/**
+ * @typedef {Object} PageRecord
+ * @property {string} url - Requested URL
+ * @property {string} final_url - URL after redirects
+ * @property {number} status - HTTP status of the final response
+ * @property {boolean} ok - 2xx final response
+ * @property {string} content_type
+ * @property {Object<string, string>} headers - Final response headers (lowercase keys)
+ * @property {Array<{url: string, status: number, location: string}>} redirects
+ * @property {{started_at: string, ttfb_ms: number, duration_ms: number}} timing
+ * @property {string} html - Body (truncated at PAGE_FETCH.MAX_BYTES)
+ * @property {string} [html_sha256] - Stored records: replaces html (./bodies.js)
+ * @property {boolean} truncated
+ */
+
+/**
+ * Fetches a page, following redirects by hand so the chain is kept.
+ * Any HTTP status resolves to a PageRecord; network errors and
+ * timeouts throw (classified by utils/retry.js).
+ *
+ * @param {string} url
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Stage timeout; cancels the request
+ * @returns {Promise<PageRecord>}
+ */
+export async function fetchPage(url, { signal } = {}) {
+  return withSiteLimits(url, async () => {
+    signal?.throwIfAborted();
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), PAGE_FETCH.TIMEOUT_MS);
+    const requestSignal = signal ? AbortSignal.any([controller.signal, signal]) : controller.signal;
+    const startedAt = Date.now();
+
+    try {
+      const redirects = [];
+      let currentUrl = url;
+      let response;
+
+      for (let hop = 0; ; hop++) {
+        response = await fetch(currentUrl, {
+          signal: requestSignal,
+          redirect: "manual",
+          headers: {
+            "user-agent": PAGE_FETCH.USER_AGENT,
+            "accept": "text/html,application/xhtml+xml;q=0.9,*/*;q=0.8",
+          },
+        });
+
+        const location = response.headers.get("location");
+        if (response.status < 300 || response.status >= 400 || !location) break;
+
+        await response.body?.cancel();
+        if (hop >= PAGE_FETCH.MAX_REDIRECTS) {
+          throw new Error(`Too many redirects (${PAGE_FETCH.MAX_REDIRECTS}) from ${url}`);
+        }
+
+        const nextUrl = new URL(location, currentUrl).toString();
+        redirects.push({ url: currentUrl, status: response.status, location: nextUrl });
+        currentUrl = nextUrl;
+      }
+
+      const ttfbMs = Date.now() - startedAt;
+      const { text, truncated } = await readBodyWithLimit(response, PAGE_FETCH.MAX_BYTES);
+
+      const headers = {};
+      response.headers.forEach((value, key) => {
+        headers[key] = value;
+      });
+
+      return {
+        url,
+        final_url: currentUrl,
+        status: response.status,
+        ok: response.ok,
+        content_type: headers["content-type"] || "",
+        headers,
+        redirects,
+        timing: {
+          started_at: new Date(startedAt).toISOString(),
+          ttfb_ms: ttfbMs,
+          duration_ms: Date.now() - startedAt,
+        },
+        html: text,
+        truncated,
+      };
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  });
+}
+
+/**
+ * Reads the response body, stopping at maxBytes
+ */
+async function readBodyWithLimit(response, maxBytes) {
+  const reader = response.body?.getReader?.();
+
+  // Fallback for environments without streaming
+  if (!reader) {
+    const text = await response.text();
+    return { text: text.slice(0, maxBytes), truncated: text.length > maxBytes };
+  }
+
+  const chunks = [];
+  let totalBytes = 0;
+  let truncated = false;
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+
+    if (totalBytes + value.byteLength > maxBytes) {
+      chunks.push(value.slice(0, maxBytes - totalBytes));
+      totalBytes = maxBytes;
+      truncated = true;
+      await reader.cancel();
+      break;
+    }
+
+    chunks.push(value);
+    totalBytes += value.byteLength;
+  }
+
+  const merged = new Uint8Array(totalBytes);
+  let offset = 0;
+  for (const chunk of chunks) {
+    merged.set(chunk, offset);
+    offset += chunk.byteLength;
+  }
+
+  return { text: new TextDecoder("utf-8").decode(merged), truncated };
+}
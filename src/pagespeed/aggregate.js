@@ -0,0 +1,107 @@
+// src/pagespeed/aggregate.js
+// Combines several lab runs of one strategy into one result: median per
+// category score and lab metric, plus the min/max spread so callers can
+// tell stable numbers from noise.
+
+// Values compared across runs (same keys as the runPageSpeed result)
+const AGGREGATED_FIELDS = ["categories", "lab"];
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+function spreadOf(values, maxSpreadPct) {
+  const med = median(values);
+  const min = Math.min(...values);
+  const max = Math.max(...values);
+
+  // Relative to the median; a zero median (e.g. CLS 0) is stable only if all runs agree
+  const spreadPct = med === 0 ? (max === min ? 0 : 100) : Math.round(((max - min) / Math.abs(med)) * 1000) / 10;
+
+  return { median: med, min, max, spread_pct: spreadPct, stable: spreadPct <= maxSpreadPct };
+}
+
+const seconds = (ms) => `${(ms / 1000).toFixed(1)} s`;
+const millis = (ms) => `${Math.round(ms / 10) * 10} ms`;
+
+// Lighthouse-style display strings for the median lab values
+function displayFromLab(lab) {
+  const fmt = (value, format) => (typeof value === "number" ? format(value) : null);
+  return {
+    fcp: fmt(lab.fcp_ms, seconds),
+    lcp: fmt(lab.lcp_ms, seconds),
+    cls: fmt(lab.cls, (v) => v.toFixed(3)),
+    tbt: fmt(lab.tbt_ms, millis),
+    tti: fmt(lab.tti_ms, seconds),
+    speed_index: fmt(lab.speed_index, seconds),
+  };
+}
+
+/**
+ * Aggregates successful runs of one strategy. Opportunities, diagnostics and
+ * the screenshot come from the run whose performance score is the median.
+ *
+ * @param {Object[]} results - runPageSpeed-shaped results (at least one)
+ * @param {Object} options
+ * @param {number} options.maxSpreadPct - Max (max - min) / median, in %, for a value to be stable
+ * @param {number} [options.failedRuns] - Runs that errored
+ * @returns {Object} runPageSpeed-shaped result with medians and a `variance` block
+ */
+export function aggregateRuns(results, { maxSpreadPct, failedRuns = 0 }) {
+  const scores = results.map((r) => r.categories.performance ?? 0);
+  const medianScore = median(scores);
+  const representative = results.reduce((best, r) =>
+    Math.abs((r.categories.performance ?? 0) - medianScore) < Math.abs((best.categories.performance ?? 0) - medianScore)
+      ? r
+      : best
+  );
+
+  const aggregated = { ...representative };
+  const variance = { runs: results.length, failed_runs: failedRuns, max_spread_pct: maxSpreadPct };
+
+  for (const field of AGGREGATED_FIELDS) {
+    aggregated[field] = { ...representative[field] };
+    variance[field] = {};
+
+    for (const key of Object.keys(representative[field])) {
+      const values = results.map((r) => r[field]?.[key]).filter((v) => typeof v === "number");
+      if (values.length === 0) continue;
+
+      const spread = spreadOf(values, maxSpreadPct);
+      aggregated[field][key] = field === "categories" ? Math.round(spread.median) : spread.median;
+      variance[field][key] = spread;
+    }
+  }
+
+  aggregated.display = { ...representative.display, ...displayFromLab(aggregated.lab) };
+  aggregated.variance = variance;
+  return aggregated;
+}
+
+/**
+ * Categories and lab metrics safe to quote to a prospect: values whose
+ * spread across runs is above the threshold become null. Single-run results
+ * (no variance block) are returned as they are.
+ *
+ * @param {Object} result - pagespeed.mobile / pagespeed.desktop
+ * @returns {{ categories: Object, lab: Object, unstable: string[] }}
+ */
+export function pickQuotableMetrics(result) {
+  if (!result) return { categories: undefined, lab: undefined, unstable: [] };
+
+  const unstable = [];
+  const pick = (field) =>
+    Object.fromEntries(
+      Object.entries(result[field] || {}).map(([key, value]) => {
+        if (result.variance?.[field]?.[key]?.stable === false) {
+          unstable.push(key);
+          return [key, null];
+        }
+        return [key, value];
+      })
+    );
+
+  return { categories: pick("categories"), lab: pick("lab"), unstable };
+}
@@ -0,0 +1,44 @@
+// src/pagespeed/archive.js
+// Gzipped raw lab responses, one file per lead and strategy:
+//   out/psi_raw/<lead_key>/mobile.json.gz
+// Each file holds every run of the latest audit, so the pagespeed section
+// can be rebuilt offline after the normalization changes (renormalize).
+
+import fs from "fs";
+import path from "path";
+import zlib from "zlib";
+import { CONFIG } from "../config.js";
+
+const ARCHIVE_DIR = path.join(CONFIG.OUT_DIR, "psi_raw");
+
+function archivePath(leadKey, strategy) {
+  return path.join(ARCHIVE_DIR, leadKey, `${strategy}.json.gz`);
+}
+
+/**
+ * Replaces the archived runs of a lead's strategy
+ *
+ * @param {string} leadKey
+ * @param {string} strategy - mobile | desktop
+ * @param {Array<{ engine: string, fetched_at: string, response: Object }>} runs
+ * @param {Object} [meta] - e.g. { url }
+ * @returns {string} Archive file path
+ */
+export function archiveRuns(leadKey, strategy, runs, meta = {}) {
+  const filePath = archivePath(leadKey, strategy);
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+  const payload = { ...meta, strategy, archived_at: new Date().toISOString(), runs };
+  fs.writeFileSync(filePath, zlib.gzipSync(JSON.stringify(payload)));
+  return filePath;
+}
+
+/**
+ * Archived runs of a lead's strategy, or null when there are none
+ */
+export function readArchivedRuns(leadKey, strategy) {
+  const filePath = archivePath(leadKey, strategy);
+  if (!fs.existsSync(filePath)) return null;
+
+  return JSON.parse(zlib.gunzipSync(fs.readFileSync(filePath)).toString("utf8"));
+}
@@ -0,0 +1,62 @@
+// src/pagespeed/budgets.js
+// Checks a lab result against the performance budgets in
+// CONFIG.PAGESPEED.BUDGETS and reports by how much each one is exceeded,
+// e.g. "LCP 4.8 s, 2.3 s (92%) over the 2.5 s budget".
+
+import { CONFIG } from "../config.js";
+
+// Budget key -> the value it limits in a runPageSpeed result
+const BUDGET_METRICS = {
+  LCP_MS: { metric: "lcp_ms", field: "lab", label: "Largest Contentful Paint", unit: "ms" },
+  TBT_MS: { metric: "tbt_ms", field: "lab", label: "Total Blocking Time", unit: "ms" },
+  TOTAL_BYTES: { metric: "total_byte_weight", field: "resources", label: "Total byte weight", unit: "bytes" },
+  REQUEST_COUNT: { metric: "request_count", field: "resources", label: "Requests", unit: "requests" },
+};
+
+/**
+ * Evaluates one strategy against the budgets. Values the result does not
+ * have are reported with pass: null; values that were noisy across runs
+ * are marked stable: false.
+ *
+ * @param {Object} result - runPageSpeed-shaped result
+ * @param {Object} [budgets] - { LCP_MS, TBT_MS, TOTAL_BYTES, REQUEST_COUNT } (CONFIG.PAGESPEED.BUDGETS)
+ * @returns {{ passed: number, failed: number, checks: Array<{ budget: string, metric: string, label: string, unit: string, limit: number, value: number|null, pass: boolean|null, over_by: number|null, over_by_pct: number|null, stable: boolean }> }}
+ */
+export function evaluateBudgets(result, budgets = CONFIG.PAGESPEED.BUDGETS) {
+  const checks = Object.entries(budgets)
+    .filter(([budget, limit]) => BUDGET_METRICS[budget] && Number.isFinite(limit))
+    .map(([budget, limit]) => {
+      const { metric, field, label, unit } = BUDGET_METRICS[budget];
+      const raw = result?.[field]?.[metric];
+      const value = typeof raw === "number" ? Math.round(raw) : null;
+      const over = value === null ? null : Math.max(0, value - limit);
+
+      return {
+        budget,
+        metric,
+        label,
+        unit,
+        limit,
+        value,
+        pass: value === null ? null : value <= limit,
+        over_by: over,
+        over_by_pct: over === null ? null : Math.round((over / limit) * 100),
+        stable: result?.variance?.[field]?.[metric]?.stable !== false,
+      };
+    });
+
+  return {
+    passed: checks.filter((check) => check.pass === true).length,
+    failed: checks.filter((check) => check.pass === false).length,
+    checks,
+  };
+}
+
+/**
+ * Failed budgets safe to quote (measured and stable across runs)
+ *
+ * @param {Object} result - pagespeed.mobile / pagespeed.desktop
+ */
+export function pickBudgetFailures(result) {
+  return (result?.budgets?.checks || []).filter((check) => check.pass === false && check.stable);
+}
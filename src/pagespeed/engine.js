@@ -0,0 +1,111 @@
+// src/pagespeed/engine.js
+// Picks the lab data engine (CONFIG.PAGESPEED.ENGINE): the hosted PSI API,
+// a local Lighthouse run, or PSI with a local fallback ("auto"). With
+// CONFIG.PAGESPEED.RUNS > 1 each strategy is audited several times and the
+// medians are kept (see aggregate.js).
+
+import { CONFIG } from "../config.js";
+import { fetchPageSpeed, normalizePsiResponse } from "./psi.js";
+import { fetchLocalLighthouse } from "./lighthouse.js";
+import { aggregateRuns } from "./aggregate.js";
+import { evaluateBudgets } from "./budgets.js";
+
+export const PAGESPEED_ENGINES = ["psi", "lighthouse", "auto"];
+
+// PSI errors a local run can get past: no key, quota used up, or the
+// PSI servers could not load the site
+const PSI_UNREACHABLE = /FAILED_DOCUMENT_REQUEST|ERRORED_DOCUMENT_REQUEST|DNS_FAILURE|NO_FCP|Unable to resolve|unable to reliably load/i;
+
+function shouldFallBack(error) {
+  if (error?.code === "MISSING_API_KEY") return true;
+  if (error?.status === 429) return true;
+  return (error?.status === 400 || error?.status === 500) && PSI_UNREACHABLE.test(error.message);
+}
+
+// One audit; returns the raw response and the engine that produced it
+async function runOnce({ url, strategy, log, engine, signal, untimed }) {
+  if (engine === "lighthouse") {
+    return { engine: "lighthouse", response: await fetchLocalLighthouse({ url, strategy, signal, untimed }) };
+  }
+
+  try {
+    return { engine: "psi", response: await fetchPageSpeed({ url, strategy, apiKey: CONFIG.PSI_API_KEY, signal }) };
+  } catch (error) {
+    if (engine !== "auto" || signal?.aborted || !shouldFallBack(error)) throw error;
+
+    log(`    ↪️  PSI unavailable for ${strategy} (${error.message.slice(0, 80)}), running local Lighthouse`);
+    return { engine: "lighthouse", response: await fetchLocalLighthouse({ url, strategy, signal, untimed }) };
+  }
+}
+
+/**
+ * Normalizes the raw runs of one strategy; several runs are aggregated into
+ * medians, and the result is checked against the performance budgets. Also
+ * used to rebuild results from the archive (archive.js).
+ *
+ * @param {Array<{ engine: string, fetched_at: string, response: Object }>} runs - Raw responses
+ * @param {Object} options
+ * @param {string} options.strategy
+ * @param {number} [options.failedRuns]
+ */
+export function normalizeRuns(runs, { strategy, failedRuns = 0 }) {
+  const results = runs.map(({ engine, response, fetched_at }) =>
+    normalizePsiResponse(response, { strategy, engine, fetchedAt: fetched_at })
+  );
+  const result =
+    results.length === 1 && failedRuns === 0
+      ? results[0]
+      : aggregateRuns(results, { maxSpreadPct: CONFIG.PAGESPEED.MAX_SPREAD_PCT, failedRuns });
+
+  return { ...result, budgets: evaluateBudgets(result) };
+}
+
+/**
+ * Lab data for one strategy from the configured engine
+ *
+ * @param {Object} params
+ * @param {string} params.url
+ * @param {"mobile"|"desktop"} params.strategy
+ * @param {Function} [params.log] - Per-lead logger (fallback notice)
+ * @param {string} [params.engine] - Overrides CONFIG.PAGESPEED.ENGINE
+ * @param {number} [params.runs] - Audits per strategy (CONFIG.PAGESPEED.RUNS)
+ * @param {Function} [params.onResponse] - Receives each raw run ({ engine, fetched_at, response })
+ * @param {AbortSignal} [params.signal] - Stage timeout; stops the remaining runs
+ * @param {Function} [params.untimed] - Holds the stage timeout while queued for local Lighthouse
+ */
+export async function runLabAudit({
+  url,
+  strategy,
+  log = console.log,
+  engine = CONFIG.PAGESPEED.ENGINE,
+  runs = CONFIG.PAGESPEED.RUNS,
+  onResponse = () => {},
+  signal,
+  untimed,
+}) {
+  if (!PAGESPEED_ENGINES.includes(engine)) {
+    throw new Error(`Unknown PAGESPEED_ENGINE: ${engine}. Available: ${PAGESPEED_ENGINES.join(", ")}`);
+  }
+
+  const count = Math.max(1, runs);
+
+  // Sequential: parallel runs of the same page compete for bandwidth and CPU
+  const responses = [];
+  let lastError = null;
+  for (let i = 0; i < count; i++) {
+    signal?.throwIfAborted();
+    try {
+      const run = { ...(await runOnce({ url, strategy, log, engine, signal, untimed })), fetched_at: new Date().toISOString() };
+      responses.push(run);
+      onResponse(run);
+    } catch (error) {
+      // A single audit keeps its error for the stage's retry policy
+      if (count === 1 || signal?.aborted) throw error;
+      lastError = error;
+      log(`    ⚠️  ${strategy} run ${i + 1}/${count} failed: ${error.message}`);
+    }
+  }
+  if (responses.length === 0) throw lastError;
+
+  return normalizeRuns(responses, { strategy, failedRuns: count - responses.length });
+}
@@ -0,0 +1,157 @@
+// src/pagespeed/lighthouse.js
+// Runs Lighthouse locally against a headless Chromium and returns the raw
+// result in the PSI response shape. Uses the presets PSI uses: Moto G Power + slow 4G
+// (simulated) for mobile, Lighthouse's desktop config for desktop, and
+// skips the audits PSI skips in headless Chrome.
+
+import pLimit from "p-limit";
+import { CONFIG } from "../config.js";
+
+const CATEGORIES = ["performance", "seo", "accessibility", "best-practices"];
+
+// Audits PSI skips (headless Chrome cannot measure them truthfully)
+const SKIP_AUDITS = ["uses-http2", "modern-http-insight", "bf-cache"];
+
+const CHROME_FLAGS = ["--headless=new", "--no-sandbox", "--disable-gpu", "--disable-dev-shm-usage"];
+
+// One Chromium at a time: parallel runs on the same CPU skew the lab metrics
+const lighthouseQueue = pLimit(1);
+
+// Stage clock (`untimed`) of the audit holding the slot; one per lead and stage run
+let slotHolder = null;
+let notifyHolderChange;
+let holderChange = new Promise((resolve) => (notifyHolderChange = resolve));
+
+function setSlotHolder(holder) {
+  slotHolder = holder;
+  const notify = notifyHolderChange;
+  holderChange = new Promise((resolve) => (notifyHolderChange = resolve));
+  notify();
+}
+
+/**
+ * Runs an audit in the single Lighthouse slot. While another lead holds the
+ * slot the wait is held off this lead's stage clock; waiting behind the
+ * lead's own audit (its other strategy) still counts, so a hung audit times out.
+ *
+ * @param {Function} audit - Async function run once the slot is acquired
+ * @param {Object} [options]
+ * @param {Function} [options.untimed] - Stage clock hold (src/stages/runner.js)
+ */
+export async function inLighthouseSlot(audit, { untimed = (promise) => promise } = {}) {
+  let acquired = false;
+  let onAcquired;
+  const slot = new Promise((resolve) => (onAcquired = resolve));
+
+  const run = lighthouseQueue(async () => {
+    setSlotHolder(untimed);
+    acquired = true;
+    onAcquired();
+    try {
+      return await audit();
+    } finally {
+      setSlotHolder(null);
+    }
+  });
+
+  while (!acquired) {
+    const next = Promise.race([slot, holderChange]);
+    await (slotHolder && slotHolder !== untimed ? untimed(next) : next);
+  }
+  return run;
+}
+
+async function loadLighthouse() {
+  try {
+    const [{ default: lighthouse, desktopConfig }, { throttling }, chromeLauncher] = await Promise.all([
+      import("lighthouse"),
+      import("lighthouse/core/config/constants.js"),
+      import("chrome-launcher"),
+    ]);
+    return { lighthouse, desktopConfig, throttling, chromeLauncher };
+  } catch (error) {
+    throw new Error(`Local Lighthouse failed to load: ${error.message}`);
+  }
+}
+
+// Lighthouse needs a Chrome/Chromium binary; chrome-launcher finds an installed one or uses CHROME_PATH
+async function launchChrome(chromeLauncher) {
+  try {
+    return await chromeLauncher.launch({
+      chromePath: CONFIG.PAGESPEED.CHROME_PATH,
+      chromeFlags: CHROME_FLAGS,
+    });
+  } catch (error) {
+    const where = CONFIG.PAGESPEED.CHROME_PATH ? `CHROME_PATH=${CONFIG.PAGESPEED.CHROME_PATH}` : "no CHROME_PATH set";
+    const wrapped = new Error(`Could not start Chrome for local Lighthouse (${where}): install Chrome/Chromium or point CHROME_PATH at it. ${error.message}`);
+    wrapped.code = error.code;
+    throw wrapped;
+  }
+}
+
+function buildConfig(strategy, { desktopConfig, throttling }) {
+  const settings = {
+    onlyCategories: CATEGORIES,
+    skipAudits: SKIP_AUDITS,
+    maxWaitForFcp: 15 * 1000,
+    maxWaitForLoad: 35 * 1000,
+  };
+
+  if (strategy === "desktop") {
+    return { ...desktopConfig, settings: { ...desktopConfig.settings, ...settings } };
+  }
+
+  return {
+    extends: "lighthouse:default",
+    settings: {
+      ...settings,
+      throttling: { ...throttling.mobileSlow4G, cpuSlowdownMultiplier: CONFIG.PAGESPEED.CPU_SLOWDOWN },
+    },
+  };
+}
+
+/**
+ * Audits a URL with a local Lighthouse run and returns the raw result in
+ * the PSI response shape ({ lighthouseResult })
+ *
+ * @param {Object} params
+ * @param {string} params.url
+ * @param {"mobile"|"desktop"} params.strategy
+ * @param {AbortSignal} [params.signal] - Stage timeout: skips a queued audit, kills Chrome mid-audit
+ * @param {Function} [params.untimed] - Stage clock hold (see inLighthouseSlot)
+ */
+export async function fetchLocalLighthouse({ url, strategy, signal, untimed }) {
+  const modules = await loadLighthouse();
+
+  return inLighthouseSlot(async () => {
+    signal?.throwIfAborted();
+    const chrome = await launchChrome(modules.chromeLauncher);
+    // Stage timeout mid-audit: killing Chrome ends the run and frees the slot
+    const onAbort = () => chrome.kill();
+    signal?.addEventListener("abort", onAbort, { once: true });
+
+    try {
+      const result = await modules.lighthouse(
+        url,
+        { port: chrome.port, output: "json", logLevel: "error" },
+        buildConfig(strategy, modules)
+      );
+      const lhr = result?.lhr;
+
+      if (!lhr) throw new Error("Lighthouse returned no result");
+      if (lhr.runtimeError) {
+        const error = new Error(`Lighthouse failed: ${lhr.runtimeError.code} ${lhr.runtimeError.message}`);
+        error.code = lhr.runtimeError.code;
+        throw error;
+      }
+
+      return { lighthouseResult: lhr };
+    } catch (error) {
+      signal?.throwIfAborted();
+      throw error;
+    } finally {
+      signal?.removeEventListener("abort", onAbort);
+      await chrome.kill();
+    }
+  }, { untimed });
+}
@@ -1,3 +1,7 @@
+import { CONFIG } from "../config.js";
+import { psiLimiter } from "../rateLimits.js";
+import { httpError } from "../utils/retry.js";
+
 function score100(v) {
   return typeof v === "number" ? Math.round(v * 100) : null;
 }
@@ -40,6 +44,63 @@ function topSavingsAudits(audits, ids, limit = 5) {
   return items.slice(0, limit);
 }
 
+// Audits of non-performance categories worth reporting: scored and below 1
+const SCORED_MODES = new Set(["binary", "numeric", "metricSavings"]);
+
+/**
+ * Failing audits of one category (e.g. meta-description, color-contrast,
+ * errors-in-console), most important first
+ */
+function pickFailedAudits(lh, categoryId, limit = 15) {
+  const audits = lh?.audits || {};
+  const refs = lh?.categories?.[categoryId]?.auditRefs || [];
+
+  return refs
+    .map((ref) => ({ ref, audit: audits[ref.id] }))
+    .filter(({ audit }) =>
+      audit &&
+      SCORED_MODES.has(audit.scoreDisplayMode) &&
+      typeof audit.score === "number" &&
+      audit.score < 1
+    )
+    .map(({ ref, audit }) => ({
+      id: ref.id,
+      title: audit.title ?? ref.id,
+      score: audit.score,
+      weight: ref.weight ?? 0,
+      items_count: Array.isArray(audit.details?.items) ? audit.details.items.length : null,
+      display_value: audit.displayValue ?? null,
+    }))
+    .sort((a, b) => b.weight - a.weight || a.score - b.score)
+    .slice(0, limit);
+}
+
+/**
+ * Per-entity third-party cost (third-party-summary), with the script
+ * evaluation time of the entity's URLs from bootup-time
+ */
+function pickThirdParties(audits, limit = 15) {
+  const entities = audits?.["third-party-summary"]?.details?.items ?? [];
+  const bootup = new Map(
+    (audits?.["bootup-time"]?.details?.items ?? []).map((item) => [item.url, item])
+  );
+
+  return entities.slice(0, limit).map((item) => {
+    const urls = (item.subItems?.items ?? []).map((sub) => sub.url).filter(Boolean);
+    const scripts = urls.map((url) => bootup.get(url)).filter(Boolean);
+
+    return {
+      // Older PSI responses wrap the entity in a link object
+      entity: typeof item.entity === "object" ? item.entity?.text ?? null : item.entity ?? null,
+      transfer_bytes: Math.round(item.transferSize ?? 0),
+      main_thread_ms: Math.round(item.mainThreadTime ?? 0),
+      blocking_ms: Math.round(item.blockingTime ?? 0),
+      script_eval_ms: Math.round(scripts.reduce((sum, s) => sum + (s.scripting ?? 0), 0)),
+      urls: urls.slice(0, 5),
+    };
+  });
+}
+
 // ✨ Poboljšana CrUX funkcija - pravilno parsuje metrike
 function pickCruxMetrics(metricsObj) {
   if (!metricsObj) return null;
@@ -82,8 +143,18 @@ function pickCrux(psiResponse) {
   };
 }
 
-export async function runPageSpeed({ url, strategy, apiKey }) {
-  if (!apiKey) throw new Error("Missing PSI_API_KEY");
+/**
+ * Calls the PSI API and returns the raw response (lighthouseResult +
+ * loadingExperience), as archived by the pagespeed stage. An aborted
+ * signal cancels the request; a request running past
+ * CONFIG.PAGESPEED.TIMEOUT_MS fails with a (retryable) TimeoutError.
+ */
+export async function fetchPageSpeed({ url, strategy, apiKey, signal }) {
+  if (!apiKey) {
+    const error = new Error("Missing PSI_API_KEY");
+    error.code = "MISSING_API_KEY";
+    throw error;
+  }
 
   const endpoint = new URL("https://www.googleapis.com/pagespeedonline/v5/runPagespeed");
   endpoint.searchParams.set("url", url);
@@ -95,21 +166,61 @@ export async function runPageSpeed({ url, strategy, apiKey }) {
     endpoint.searchParams.append("category", c)
   );
 
-  const res = await fetch(endpoint);
+  await psiLimiter.take();
+  signal?.throwIfAborted();
+  const timeout = AbortSignal.timeout(CONFIG.PAGESPEED.TIMEOUT_MS);
+  const res = await fetch(endpoint, { signal: signal ? AbortSignal.any([signal, timeout]) : timeout });
   if (!res.ok) {
     const txt = await res.text().catch(() => "");
-    throw new Error(`PSI failed ${res.status} ${res.statusText}: ${txt.slice(0, 200)}`);
+    throw httpError(`PSI failed ${res.status} ${res.statusText}: ${txt.slice(0, 200)}`, res);
   }
 
-  const json = await res.json();
-  const lh = json?.lighthouseResult;
+  return res.json();
+}
+
+export async function runPageSpeed({ url, strategy, apiKey }) {
+  const json = await fetchPageSpeed({ url, strategy, apiKey });
+  return normalizePsiResponse(json, { strategy });
+}
+
+/**
+ * Normalizes a raw PSI-shaped response ({ lighthouseResult, loadingExperience, ... })
+ *
+ * @param {Object} json - Raw response (PSI API, or { lighthouseResult } from a local run)
+ * @param {Object} options
+ * @param {string} options.strategy - mobile | desktop
+ * @param {string} [options.engine] - psi | lighthouse
+ * @param {string} [options.fetchedAt] - When the response was fetched (archived runs)
+ */
+export function normalizePsiResponse(json, { strategy, engine = "psi", fetchedAt }) {
+  return normalizeLighthouseResult(json?.lighthouseResult, {
+    strategy,
+    engine,
+    fetchedAt,
+    field: pickCrux(json),
+  });
+}
+
+/**
+ * Normalizes a Lighthouse result (PSI lighthouseResult or a local LHR) into
+ * the shape stored by Stage 1
+ *
+ * @param {Object} lh - Lighthouse result
+ * @param {Object} options
+ * @param {string} options.strategy - mobile | desktop
+ * @param {string} options.engine - psi | lighthouse
+ * @param {Object} [options.field] - CrUX field data (PSI only)
+ * @param {string} [options.fetchedAt] - Defaults to now
+ */
+export function normalizeLighthouseResult(lh, { strategy, engine, field = pickCrux(null), fetchedAt = new Date().toISOString() }) {
   const audits = lh?.audits || {};
   const cats = lh?.categories || {};
 
   return {
     strategy,
+    engine,
     final_url: lh?.finalUrl ?? null,
-    fetched_at: new Date().toISOString(),
+    fetched_at: fetchedAt,
     fetch_time_ms: lh?.fetchTime ? new Date(lh.fetchTime).getTime() : null, // ✨ Kada je fetch-ovano
     
     // Ocene po kategorijama
@@ -141,8 +252,18 @@ export async function runPageSpeed({ url, strategy, apiKey }) {
       server_response_time_ms: pickNumeric(audits, "server-response-time"),
     },
     
+    // Third-party cost per entity (GTM, Facebook, chat/booking widgets...)
+    third_parties: pickThirdParties(audits),
+
+    // Failing audits of the other categories (evidence for tech_seo findings)
+    failed_audits: {
+      seo: pickFailedAudits(lh, "seo"),
+      accessibility: pickFailedAudits(lh, "accessibility"),
+      best_practices: pickFailedAudits(lh, "best-practices"),
+    },
+
     // ✨ Field Data (stvarni korisnici iz CrUX)
-    field: pickCrux(json),
+    field,
     
     // ✨ Resource summary
     resources: {
@@ -231,8 +352,13 @@ export async function runPageSpeed({ url, strategy, apiKey }) {
       total_ms: lh?.timing?.total ?? null,
     },
     
-    // ✨ Screenshot (base64) - korisno za vizuelizaciju
+    // Screenshot + filmstrip as base64 data URIs; the pagespeed stage writes
+    // them to out/screenshots/ and keeps only the paths (screenshots.js)
     screenshot: audits?.["final-screenshot"]?.details?.data ?? null,
+    filmstrip: (audits?.["screenshot-thumbnails"]?.details?.items ?? []).map((frame) => ({
+      timing_ms: frame.timing ?? null,
+      data: frame.data ?? null,
+    })),
     
     // ✨ User timings (ako sajt koristi Performance API)
     user_timings: audits?.["user-timings"]?.details?.items ?? [],
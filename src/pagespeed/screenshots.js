@@ -0,0 +1,59 @@
+// src/pagespeed/screenshots.js
+// Writes the lab screenshots (final screenshot + filmstrip) of a pagespeed
+// result to image files and replaces the base64 data with their paths:
+//   out/screenshots/<lead_key>/mobile-final.jpg
+//   out/screenshots/<lead_key>/mobile-filmstrip-03-3000ms.jpg
+
+import fs from "fs";
+import path from "path";
+
+const EXTENSIONS = { "image/jpeg": "jpg", "image/png": "png", "image/webp": "webp" };
+
+function decodeDataUri(dataUri) {
+  const match = /^data:(image\/[a-z]+);base64,(.+)$/s.exec(dataUri || "");
+  if (!match) return null;
+  return { extension: EXTENSIONS[match[1]] || "img", buffer: Buffer.from(match[2], "base64") };
+}
+
+function writeImage(dir, basename, dataUri) {
+  const image = decodeDataUri(dataUri);
+  if (!image) return null;
+
+  const filePath = path.join(dir, `${basename}.${image.extension}`);
+  fs.writeFileSync(filePath, image.buffer);
+  return filePath;
+}
+
+// Images of an earlier run of this strategy (filmstrip timings change between runs)
+function removeOldImages(dir, strategy) {
+  for (const name of fs.readdirSync(dir)) {
+    if (name.startsWith(`${strategy}-`)) fs.rmSync(path.join(dir, name));
+  }
+}
+
+/**
+ * Saves the screenshot and filmstrip of one strategy and returns the result
+ * with paths instead of image data
+ *
+ * @param {Object} result - runPageSpeed-shaped result
+ * @param {string} dir - Target directory (one per lead)
+ * @returns {Object} result with screenshot: path|null, filmstrip: [{ timing_ms, path }]
+ */
+export function saveScreenshots(result, dir) {
+  fs.mkdirSync(dir, { recursive: true });
+  removeOldImages(dir, result.strategy);
+
+  const filmstrip = (result.filmstrip || [])
+    .map((frame, i) => {
+      const basename = `${result.strategy}-filmstrip-${String(i + 1).padStart(2, "0")}-${Math.round(frame.timing_ms)}ms`;
+      const filePath = writeImage(dir, basename, frame.data);
+      return filePath ? { timing_ms: frame.timing_ms, path: filePath } : null;
+    })
+    .filter(Boolean);
+
+  return {
+    ...result,
+    screenshot: writeImage(dir, `${result.strategy}-final`, result.screenshot),
+    filmstrip,
+  };
+}
@@ -0,0 +1,78 @@
+// src/pagespeed/thirdParties.js
+// Cross-references the per-entity third-party cost from PSI with what the
+// stack and signals stages detected, so a cost can be quoted against a named
+// tool ("your Doctolib widget costs 900 ms of main thread").
+
+// Lighthouse entity names that share no substring with our stack/vendor
+// names (keys normalized); "Google Analytics" vs "Google Analytics 4" etc.
+// already match by containment
+const ENTITY_ALIASES = {
+  facebook: ["metapixel"],
+  googledoubleclickads: ["googleads"],
+};
+
+const key = (name) => String(name || "").toLowerCase().replace(/[^a-z0-9]/g, "");
+
+/**
+ * Tools known for the lead: stack technologies plus the chat and booking
+ * vendors from the signals stage
+ */
+function knownTools({ stack, signals }) {
+  const tools = (stack?.technologies || []).map((tech) => ({ name: tech.name, category: tech.category }));
+
+  const chatVendor = signals?.chatbot?.has_chatbot ? signals.chatbot.vendor : null;
+  if (chatVendor) tools.push({ name: chatVendor, category: "Chat" });
+
+  const bookingType = signals?.booking?.type;
+  if (bookingType && !["form", "phone"].includes(bookingType)) {
+    tools.push({ name: bookingType, category: "Booking" });
+  }
+
+  return tools;
+}
+
+function matchTool(thirdParty, tools) {
+  const entityKey = key(thirdParty.entity);
+  const aliases = ENTITY_ALIASES[entityKey] || [];
+
+  return (
+    tools.find((tool) => {
+      const toolKey = key(tool.name);
+      if (!toolKey) return false;
+      return (
+        entityKey.includes(toolKey) ||
+        toolKey.includes(entityKey) ||
+        aliases.includes(toolKey) ||
+        // Vendor names from signals are lowercase ids (doctolib, intercom): match the script URLs
+        (toolKey.length >= 4 && thirdParty.urls.some((url) => url.toLowerCase().includes(toolKey)))
+      );
+    }) || null
+  );
+}
+
+/**
+ * Third-party costs of one strategy, each with the detected tool it belongs to
+ *
+ * @param {Object} result - pagespeed.mobile / pagespeed.desktop
+ * @param {Object} context
+ * @param {Object} [context.stack] - Stack stage data
+ * @param {Object} [context.signals] - Signals stage data
+ * @returns {Array<{ entity: string, tool: string|null, category: string|null, transfer_kib: number, main_thread_ms: number, blocking_ms: number, script_eval_ms: number, evidence_url: string|null }>}
+ */
+export function attributeThirdParties(result, { stack = null, signals = null } = {}) {
+  const tools = knownTools({ stack, signals });
+
+  return (result?.third_parties || []).map((thirdParty) => {
+    const tool = matchTool(thirdParty, tools);
+    return {
+      entity: thirdParty.entity,
+      tool: tool?.name ?? null,
+      category: tool?.category ?? null,
+      transfer_kib: Math.round(thirdParty.transfer_bytes / 1024),
+      main_thread_ms: thirdParty.main_thread_ms,
+      blocking_ms: thirdParty.blocking_ms,
+      script_eval_ms: thirdParty.script_eval_ms,
+      evidence_url: thirdParty.urls[0] ?? null,
+    };
+  });
+}
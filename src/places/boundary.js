@@ -0,0 +1,149 @@
+// src/places/boundary.js
+// GeoJSON search boundaries for the Places collector.
+// A boundary (Polygon or MultiPolygon, e.g. a city or postcode outline)
+// limits which grid cells are searched and which places are kept.
+
+import fs from 'fs';
+import crypto from 'crypto';
+
+/**
+ * Extracts polygons from any GeoJSON object.
+ * Returns a list of polygons, each a list of rings of [lng, lat] positions
+ * (first ring = outer boundary, the rest = holes).
+ */
+function extractPolygons(geojson) {
+  switch (geojson?.type) {
+    case 'FeatureCollection':
+      return geojson.features.flatMap(extractPolygons);
+    case 'Feature':
+      return extractPolygons(geojson.geometry);
+    case 'Polygon':
+      return [geojson.coordinates];
+    case 'MultiPolygon':
+      return geojson.coordinates;
+    default:
+      return [];
+  }
+}
+
+function computeBBox(polygons) {
+  const bbox = { minLat: Infinity, maxLat: -Infinity, minLng: Infinity, maxLng: -Infinity };
+  for (const polygon of polygons) {
+    for (const [lng, lat] of polygon[0]) {
+      bbox.minLat = Math.min(bbox.minLat, lat);
+      bbox.maxLat = Math.max(bbox.maxLat, lat);
+      bbox.minLng = Math.min(bbox.minLng, lng);
+      bbox.maxLng = Math.max(bbox.maxLng, lng);
+    }
+  }
+  return bbox;
+}
+
+/**
+ * Loads a search boundary from config: a path to a local .geojson file
+ * or an inline GeoJSON object
+ *
+ * @param {string|Object} spec - config boundary value
+ * @returns {Object} { source, polygons, bbox, hash }
+ */
+export function loadBoundary(spec) {
+  let geojson = spec;
+  let source = 'inline';
+
+  if (typeof spec === 'string') {
+    if (!fs.existsSync(spec)) {
+      throw new Error(`❌ Boundary file not found: ${spec}`);
+    }
+    geojson = JSON.parse(fs.readFileSync(spec, 'utf8'));
+    source = spec;
+  }
+
+  const polygons = extractPolygons(geojson);
+  if (polygons.length === 0) {
+    throw new Error(`Boundary ${source} contains no Polygon or MultiPolygon geometry`);
+  }
+
+  return {
+    source,
+    polygons,
+    bbox: computeBBox(polygons),
+    // Lets the checkpoint notice when the boundary file changes
+    hash: crypto.createHash('sha1').update(JSON.stringify(polygons)).digest('hex').slice(0, 12),
+  };
+}
+
+/**
+ * Ray casting test for a single ring
+ */
+function pointInRing(lat, lng, ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [lngI, latI] = ring[i];
+    const [lngJ, latJ] = ring[j];
+    const crosses =
+      latI > lat !== latJ > lat &&
+      lng < ((lngJ - lngI) * (lat - latI)) / (latJ - latI) + lngI;
+    if (crosses) inside = !inside;
+  }
+  return inside;
+}
+
+/**
+ * Checks whether a point lies inside the boundary (inside an outer ring
+ * and outside that polygon's holes)
+ *
+ * @param {Object} boundary - Boundary from loadBoundary
+ * @param {Object} point - { lat, lng }
+ * @returns {boolean}
+ */
+export function isPointInBoundary(boundary, { lat, lng }) {
+  const { bbox } = boundary;
+  if (lat < bbox.minLat || lat > bbox.maxLat || lng < bbox.minLng || lng > bbox.maxLng) {
+    return false;
+  }
+
+  return boundary.polygons.some(([outer, ...holes]) =>
+    pointInRing(lat, lng, outer) && !holes.some(hole => pointInRing(lat, lng, hole))
+  );
+}
+
+/**
+ * Checks whether a grid cell overlaps the boundary: its center or a corner
+ * is inside the boundary, or a boundary vertex is inside the cell.
+ * Misses only slivers that cross a cell without a vertex in it, which is
+ * fine for skipping cells that are clearly outside (e.g. over the ocean).
+ *
+ * @param {Object} boundary - Boundary from loadBoundary
+ * @param {Object} cell - Cell from generateGridPoints / splitCell
+ * @returns {boolean}
+ */
+export function cellIntersectsBoundary(boundary, cell) {
+  const halfLat = cell.latSpan / 2;
+  const halfLng = cell.lngSpan / 2;
+
+  const probes = [
+    { lat: cell.lat, lng: cell.lng },
+    { lat: cell.lat - halfLat, lng: cell.lng - halfLng },
+    { lat: cell.lat - halfLat, lng: cell.lng + halfLng },
+    { lat: cell.lat + halfLat, lng: cell.lng - halfLng },
+    { lat: cell.lat + halfLat, lng: cell.lng + halfLng },
+  ];
+  if (probes.some(point => isPointInBoundary(boundary, point))) return true;
+
+  return boundary.polygons.some(([outer]) =>
+    outer.some(([lng, lat]) =>
+      Math.abs(lat - cell.lat) <= halfLat && Math.abs(lng - cell.lng) <= halfLng
+    )
+  );
+}
+
+/**
+ * Center of the boundary's bounding box (default search center)
+ */
+export function boundaryCenter(boundary) {
+  const { bbox } = boundary;
+  return {
+    lat: (bbox.minLat + bbox.maxLat) / 2,
+    lng: (bbox.minLng + bbox.maxLng) / 2,
+  };
+}
@@ -0,0 +1,228 @@
+// src/places/campaign.js
+// Config loading for the Places collector.
+// Accepts either a single-search config (center/keyword/placeType, the
+// original config.json format) or a campaign config with a list of jobs,
+// and expands both into a flat list of searches.
+
+import fs from 'fs';
+import { loadBoundary, boundaryCenter } from './boundary.js';
+
+const DEFAULT_GRID = { steps: 3, latStep: 0.011, lngStep: 0.014 };
+
+const DEFAULT_ADAPTIVE = {
+  enabled: false,
+  maxDepth: 2,
+  splitThreshold: 60,
+  minRadius: 300,
+};
+
+const DEFAULT_PLACES = {
+  provider: 'legacy',
+  searchMethod: 'searchText',
+  language: 'de',
+  details: [],
+};
+
+const DEFAULT_DELAYS = {
+  betweenPoints: 3000,
+  betweenDetails: 180,
+  retryBase: 2200,
+  overLimitBackoff: 5000,
+};
+
+// limitUsd null = estimate and tally only, no cap (0 = no paid calls at all)
+const DEFAULT_BUDGET = {
+  limitUsd: null,
+  pricesPer1000: {},
+};
+
+const safeName = (str) => String(str).replace(/[^a-z0-9]/gi, '_').toLowerCase();
+
+function normalizeGrid(grid) {
+  const base = grid || DEFAULT_GRID;
+  return {
+    ...base,
+    adaptive: { ...DEFAULT_ADAPTIVE, ...base.adaptive },
+  };
+}
+
+/**
+ * Converts the original single-search config into a one-job campaign
+ */
+function singleConfigToCampaign(config) {
+  const required = ['radius', 'keyword', 'placeType', 'targetCount'];
+  for (const field of required) {
+    if (!config[field]) throw new Error(`Missing required config field: ${field}`);
+  }
+  if (!config.center && !config.boundary) {
+    throw new Error('Missing required config field: center (or boundary)');
+  }
+
+  const locationName = config.locationName ||
+    (config.center ? `${config.center.lat}_${config.center.lng}` : null);
+  if (!locationName) throw new Error('Missing required config field: locationName');
+
+  return {
+    ...config,
+    campaignName: locationName,
+    legacy: true,
+    jobs: [
+      {
+        city: locationName,
+        center: config.center,
+        boundary: config.boundary,
+        radius: config.radius,
+        keywords: [config.keyword],
+        placeTypes: [config.placeType],
+      },
+    ],
+  };
+}
+
+function validateJob(job, index) {
+  const required = ['city', 'radius', 'keywords', 'placeTypes'];
+  for (const field of required) {
+    if (!job[field]) throw new Error(`Missing required field jobs[${index}].${field}`);
+  }
+  if (!job.center && !job.boundary) {
+    throw new Error(`Missing required field jobs[${index}].center (or boundary)`);
+  }
+  if (!Array.isArray(job.keywords) || job.keywords.length === 0) {
+    throw new Error(`jobs[${index}].keywords must be a non-empty array`);
+  }
+  if (!Array.isArray(job.placeTypes) || job.placeTypes.length === 0) {
+    throw new Error(`jobs[${index}].placeTypes must be a non-empty array`);
+  }
+}
+
+/**
+ * Warns when the grid around the center does not reach the whole boundary
+ */
+function warnIfGridMissesBoundary(job, center, grid, boundary) {
+  const halfLat = (grid.steps + 0.5) * grid.latStep;
+  const halfLng = (grid.steps + 0.5) * grid.lngStep;
+  const { bbox } = boundary;
+
+  if (
+    bbox.minLat < center.lat - halfLat || bbox.maxLat > center.lat + halfLat ||
+    bbox.minLng < center.lng - halfLng || bbox.maxLng > center.lng + halfLng
+  ) {
+    console.warn(
+      `⚠️  Boundary ${boundary.source} extends beyond the grid for ${job.city} – ` +
+      'increase grid.steps to cover all of it'
+    );
+  }
+}
+
+/**
+ * Expands every job into one search per keyword × placeType.
+ * Job-level targetCount/grid/boundary override the campaign defaults.
+ * With a boundary, center defaults to the middle of the boundary.
+ * Places API (New) searchNearby has no keyword, so there each job runs one
+ * search per placeType (under its first keyword) instead of paying for
+ * identical searches.
+ */
+function expandSearches(campaign, places) {
+  const searches = [];
+  const boundaries = new Map();
+  const ignoresKeyword = places.provider === 'new' && places.searchMethod === 'searchNearby';
+
+  campaign.jobs.forEach((job, index) => {
+    validateJob(job, index);
+
+    const targetCount = job.targetCount ?? campaign.targetCount;
+    if (!targetCount) throw new Error(`Missing targetCount for jobs[${index}] (${job.city})`);
+
+    // Load each boundary file once, jobs may share it
+    const boundarySpec = job.boundary ?? campaign.boundary ?? null;
+    const boundaryKey = typeof boundarySpec === 'string' ? boundarySpec : JSON.stringify(boundarySpec);
+    if (boundarySpec && !boundaries.has(boundaryKey)) {
+      boundaries.set(boundaryKey, loadBoundary(boundarySpec));
+    }
+    const boundary = boundarySpec ? boundaries.get(boundaryKey) : null;
+
+    const center = job.center ?? boundaryCenter(boundary);
+    const grid = normalizeGrid(job.grid ?? campaign.grid);
+    if (boundary) warnIfGridMissesBoundary(job, center, grid, boundary);
+
+    if (ignoresKeyword && job.keywords.length > 1) {
+      console.warn(
+        `⚠️  searchNearby ignores keywords – jobs[${index}] (${job.city}) runs one search per place type, ` +
+        `not one per keyword (${job.keywords.join(', ')})`
+      );
+    }
+    const keywords = ignoresKeyword ? job.keywords.slice(0, 1) : job.keywords;
+
+    for (const keyword of keywords) {
+      for (const placeType of job.placeTypes) {
+        searches.push({
+          id: `${safeName(job.city)}:${safeName(keyword)}:${safeName(placeType)}`,
+          city: job.city,
+          center,
+          boundary,
+          radius: job.radius,
+          keyword,
+          placeType,
+          targetCount,
+          grid,
+        });
+      }
+    }
+  });
+
+  const ids = searches.map(s => s.id);
+  const duplicate = ids.find((id, i) => ids.indexOf(id) !== i);
+  if (duplicate) throw new Error(`Duplicate search in campaign: ${duplicate}`);
+
+  return searches;
+}
+
+/**
+ * Loads a collector config file and normalizes it into a campaign
+ *
+ * @param {string} configPath - Path to config.json or a campaign file
+ * @returns {Object} { campaignName, legacy, places, delays, budget, searches: Array<Search> }
+ */
+export function loadCampaignConfig(configPath) {
+  if (!fs.existsSync(configPath)) {
+    throw new Error(`❌ Config file not found: ${configPath}`);
+  }
+
+  const raw = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  const campaign = Array.isArray(raw.jobs) ? raw : singleConfigToCampaign(raw);
+
+  if (!campaign.campaignName) {
+    throw new Error('Missing required config field: campaignName');
+  }
+  if (campaign.jobs.length === 0) {
+    throw new Error('Campaign has no jobs');
+  }
+
+  const budget = { ...DEFAULT_BUDGET, ...campaign.budget };
+  if (budget.limitUsd != null && !(typeof budget.limitUsd === 'number' && budget.limitUsd >= 0)) {
+    throw new Error(`budget.limitUsd must be a number >= 0 (or null for no cap), got ${JSON.stringify(budget.limitUsd)}`);
+  }
+
+  const places = { ...DEFAULT_PLACES, ...campaign.places };
+
+  return {
+    campaignName: campaign.campaignName,
+    legacy: Boolean(campaign.legacy),
+    places,
+    delays: campaign.delays || DEFAULT_DELAYS,
+    budget,
+    searches: expandSearches(campaign, places),
+  };
+}
+
+/**
+ * Base filename for campaign outputs.
+ * Single-search configs keep the original places_<location>_<type>_<keyword> name.
+ */
+export function getOutputBaseName(campaign) {
+  if (campaign.legacy) {
+    const [search] = campaign.searches;
+    return `places_${safeName(campaign.campaignName)}_${safeName(search.placeType)}_${safeName(search.keyword)}`;
+  }
+  return `places_${safeName(campaign.campaignName)}`;
+}
@@ -0,0 +1,116 @@
+// src/places/checkpoint.js
+// On-disk checkpoint for the Places collector, one file per campaign
+// (the locationName for single-search configs). Holds visited grid cells,
+// the pending cell queue and collected place_ids per search, plus the
+// details fetched so far and the API spend, so an interrupted run can
+// continue where it stopped without losing track of what it already cost.
+
+import fs from 'fs';
+import path from 'path';
+
+const CHECKPOINT_DIR = './out/checkpoints';
+const CHECKPOINT_VERSION = 2;
+
+/**
+ * Stable key for a grid cell (used to record visited cells)
+ */
+export function cellKey(cell) {
+  return `${cell.lat.toFixed(6)},${cell.lng.toFixed(6)},${cell.radius}`;
+}
+
+/**
+ * Fields that must match for a checkpoint to be reused
+ */
+function searchFingerprint(campaign) {
+  return JSON.stringify({
+    places: {
+      provider: campaign.places.provider,
+      searchMethod: campaign.places.searchMethod,
+      language: campaign.places.language,
+      details: campaign.places.details,
+    },
+    searches: campaign.searches.map(search => ({
+      id: search.id,
+      center: search.center,
+      radius: search.radius,
+      grid: search.grid,
+      boundary: search.boundary?.hash ?? null,
+    })),
+  });
+}
+
+function createEmptyCollection() {
+  return {
+    done: false,
+    visited: [],
+    failed: [],
+    queue: null,
+    placeIds: [],
+  };
+}
+
+function createEmptyCheckpoint(campaign) {
+  return {
+    version: CHECKPOINT_VERSION,
+    campaignName: campaign.campaignName,
+    fingerprint: searchFingerprint(campaign),
+    created_at: new Date().toISOString(),
+    updated_at: null,
+    collections: Object.fromEntries(
+      campaign.searches.map(search => [search.id, createEmptyCollection()])
+    ),
+    details: {},
+    cost: { calls: {}, usd: 0 },
+  };
+}
+
+export function getCheckpointPath(campaignName) {
+  const safeName = String(campaignName).replace(/[^a-z0-9]/gi, '_').toLowerCase();
+  return path.join(CHECKPOINT_DIR, `places_${safeName}.checkpoint.json`);
+}
+
+/**
+ * Loads the checkpoint for this campaign, or starts a new one.
+ * Throws if the stored checkpoint was made with different search settings.
+ */
+export function loadCheckpoint(filePath, campaign) {
+  if (!fs.existsSync(filePath)) {
+    return { checkpoint: createEmptyCheckpoint(campaign), resumed: false };
+  }
+
+  const checkpoint = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+
+  if (checkpoint.version !== CHECKPOINT_VERSION) {
+    throw new Error(
+      `Checkpoint ${filePath} has version ${checkpoint.version}, expected ${CHECKPOINT_VERSION}. Re-run with --fresh.`
+    );
+  }
+
+  if (checkpoint.fingerprint !== searchFingerprint(campaign)) {
+    throw new Error(
+      `Checkpoint ${filePath} was created with different search settings. Re-run with --fresh.`
+    );
+  }
+
+  // Checkpoints written before cost tracking start from zero
+  checkpoint.cost ??= { calls: {}, usd: 0 };
+
+  return { checkpoint, resumed: true };
+}
+
+/**
+ * Writes the checkpoint atomically (temp file + rename), so an interrupt
+ * in the middle of a write never leaves a truncated file behind
+ */
+export function saveCheckpoint(filePath, checkpoint) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  checkpoint.updated_at = new Date().toISOString();
+
+  const tmpPath = `${filePath}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify(checkpoint, null, 2), 'utf8');
+  fs.renameSync(tmpPath, filePath);
+}
+
+export function discardCheckpoint(filePath) {
+  if (fs.existsSync(filePath)) fs.unlinkSync(filePath);
+}
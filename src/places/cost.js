@@ -0,0 +1,185 @@
+// src/places/cost.js
+// Places API cost estimation and the running budget tally.
+// Prices are USD per 1000 requests (list prices, before the monthly free
+// usage) and can be overridden per campaign via budget.pricesPer1000.
+
+import { generateSearchGrid } from './grid.js';
+
+// Each provider call is billed under one SKU. detailFields lists the SKU
+// each optional field needs; a Details call is billed at the highest SKU
+// its field list touches.
+const PRICES_PER_1000 = {
+  legacy: {
+    nearbySearch: 32,
+    // Basic + Contact (phone, website) + Atmosphere (rating) data
+    details: 25,
+    // Key check requests only place_id (Basic data)
+    validation: 17,
+    // Optional fields are Basic/Contact/Atmosphere data, already billed
+    detailFields: { opening_hours: 25, reviews: 25, review_summary: 25, primary_type: 25, types: 25 },
+  },
+  new: {
+    // location in the field mask puts both searches on the Pro SKU
+    searchNearby: 32,
+    searchText: 32,
+    // Enterprise: phone, website and rating fields
+    details: 20,
+    // Key check requests only the ID (IDs Only SKU, no charge)
+    validation: 0,
+    // reviews and reviewSummary move details to Enterprise + Atmosphere
+    detailFields: { opening_hours: 20, reviews: 25, review_summary: 25, primary_type: 5, types: 5 },
+  },
+};
+
+/**
+ * Resolves the price table for a campaign (provider defaults + overrides)
+ */
+function resolvePrices(campaign) {
+  const defaults = PRICES_PER_1000[campaign.places.provider];
+  const overrides = campaign.budget?.pricesPer1000 || {};
+
+  return {
+    ...defaults,
+    ...overrides,
+    detailFields: { ...defaults.detailFields, ...overrides.detailFields },
+  };
+}
+
+/**
+ * USD per single call for each SKU the collector uses
+ */
+function unitPrices(campaign) {
+  const prices = resolvePrices(campaign);
+  const searchSku = campaign.places.provider === 'legacy'
+    ? 'nearbySearch'
+    : campaign.places.searchMethod;
+
+  const detailsPer1000 = Math.max(
+    prices.details,
+    ...campaign.places.details.map(field => prices.detailFields[field] ?? 0)
+  );
+
+  return {
+    [searchSku]: prices[searchSku] / 1000,
+    details: detailsPer1000 / 1000,
+    validation: prices.validation / 1000,
+  };
+}
+
+const formatUsd = (usd) => `$${usd.toFixed(2)}`;
+
+// ============================================================
+// PRE-FLIGHT ESTIMATE
+// ============================================================
+
+/**
+ * Estimates the cost range of a campaign from grid size (cells inside the
+ * boundary only), pagination, adaptive splitting, target counts and the
+ * selected detail fields.
+ * The low end assumes one page per grid point and no splits; the high end
+ * assumes every point fills all pages and every cell splits to maxDepth.
+ *
+ * @param {Object} campaign - Normalized campaign from loadCampaignConfig
+ * @returns {Object} { searchCalls: {min, max}, detailCalls, usd: {min, max}, unitPrices }
+ */
+export function estimateCampaignCost(campaign) {
+  const prices = unitPrices(campaign);
+  const searchPrice = Object.entries(prices)
+    .find(([sku]) => sku !== 'details' && sku !== 'validation')[1];
+  const maxPages = campaign.places.provider === 'new' && campaign.places.searchMethod === 'searchNearby'
+    ? 1
+    : 3;
+
+  let minSearchCalls = 0;
+  let maxSearchCalls = 0;
+  let detailCalls = 0;
+
+  for (const search of campaign.searches) {
+    const points = generateSearchGrid(search).length;
+    const adaptive = search.grid.adaptive;
+
+    // 1 + 4 + 16 + ... cells per grid point when every cell splits
+    let cellsPerPoint = 1;
+    if (adaptive.enabled) {
+      for (let depth = 1; depth <= adaptive.maxDepth; depth++) cellsPerPoint += 4 ** depth;
+    }
+
+    minSearchCalls += points;
+    maxSearchCalls += points * cellsPerPoint * maxPages;
+    detailCalls += search.targetCount;
+  }
+
+  const fixed = detailCalls * prices.details + prices.validation;
+
+  return {
+    searchCalls: { min: minSearchCalls, max: maxSearchCalls },
+    detailCalls,
+    usd: {
+      min: fixed + minSearchCalls * searchPrice,
+      max: fixed + maxSearchCalls * searchPrice,
+    },
+    unitPrices: prices,
+  };
+}
+
+export function logCostEstimate(campaign, estimate) {
+  const limit = campaign.budget.limitUsd;
+
+  console.log('💰 Cost estimate (list prices, before free usage):');
+  console.log(`   Search calls : ${estimate.searchCalls.min}–${estimate.searchCalls.max}`);
+  console.log(`   Detail calls : up to ${estimate.detailCalls} (fewer after dedupe)`);
+  console.log(`   Estimated    : ${formatUsd(estimate.usd.min)}–${formatUsd(estimate.usd.max)}`);
+  console.log(`   Budget       : ${limit != null ? formatUsd(limit) : 'none (set budget.limitUsd to cap spend)'}`);
+
+  if (limit != null && estimate.usd.min > limit) {
+    console.warn('   ⚠️  Even the low estimate exceeds the budget – the run will stop early');
+  }
+  console.log('');
+}
+
+// ============================================================
+// RUNNING TALLY
+// ============================================================
+
+/**
+ * Creates the running cost tally for a run.
+ * State lives in the checkpoint (checkpoint.cost), so spend from earlier,
+ * interrupted runs counts toward the same budget.
+ *
+ * @param {Object} campaign - Normalized campaign
+ * @param {Object} state - checkpoint.cost ({ calls, usd })
+ * @returns {Object} { charge(sku), summary() }
+ */
+export function createCostTracker(campaign, state) {
+  const prices = unitPrices(campaign);
+  const limit = campaign.budget.limitUsd;
+
+  return {
+    /**
+     * Records a call before it is made.
+     * Throws (code BUDGET_EXCEEDED) instead if the call would pass the budget.
+     */
+    charge(sku) {
+      const price = prices[sku] ?? 0;
+
+      if (limit != null && state.usd + price > limit) {
+        const error = new Error(
+          `Budget reached: ${formatUsd(state.usd)} spent of ${formatUsd(limit)} ` +
+          `(next ${sku} call costs ${formatUsd(price)})`
+        );
+        error.code = 'BUDGET_EXCEEDED';
+        throw error;
+      }
+
+      state.calls[sku] = (state.calls[sku] || 0) + 1;
+      state.usd += price;
+    },
+
+    summary() {
+      const calls = Object.entries(state.calls)
+        .map(([sku, count]) => `${sku}: ${count}`)
+        .join(', ');
+      return `${formatUsd(state.usd)}${limit != null ? ` of ${formatUsd(limit)}` : ''} (${calls || 'no calls'})`;
+    },
+  };
+}
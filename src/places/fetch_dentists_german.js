@@ -1,13 +1,27 @@
 import fs from 'fs';
 import path from 'path';
 import 'dotenv/config';
+import { generateSearchGrid, splitCell, shouldSplitCell } from './grid.js';
+import { cellIntersectsBoundary, isPointInBoundary } from './boundary.js';
+import { loadCampaignConfig, getOutputBaseName } from './campaign.js';
+import { createPlacesProvider, formatPlaceRow } from './providers/index.js';
+import { estimateCampaignCost, logCostEstimate, createCostTracker } from './cost.js';
+import {
+  cellKey,
+  getCheckpointPath,
+  loadCheckpoint,
+  saveCheckpoint,
+  discardCheckpoint,
+} from './checkpoint.js';
 
 // ============================================================
 // CONFIGURATION LOADING
 // ============================================================
 
-function loadConfig() {
-  // Determine config file path: from command line arg --config or env CONFIG_PATH, else default
+/**
+ * Resolves config path: from command line arg --config or env CONFIG_PATH, else default
+ */
+function resolveConfigPath() {
   let configPath = process.env.CONFIG_PATH || './config.json';
   const args = process.argv.slice(2);
   for (let i = 0; i < args.length; i++) {
@@ -16,36 +30,26 @@ function loadConfig() {
       break;
     }
   }
-
-  if (!fs.existsSync(configPath)) {
-    throw new Error(`❌ Config file not found: ${configPath}`);
-  }
-
-  const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
-
-  // Validate required fields
-  const required = ['center', 'radius', 'keyword', 'placeType', 'targetCount'];
-  for (const field of required) {
-    if (!config[field]) throw new Error(`Missing required config field: ${field}`);
-  }
-
-  // Apply defaults for optional fields
-  config.grid = config.grid || { steps: 3, latStep: 0.011, lngStep: 0.014 };
-  config.delays = config.delays || {
-    betweenPoints: 3000,
-    betweenDetails: 180,
-    retryBase: 2200,
-    overLimitBackoff: 5000,
-  };
-  config.locationName = config.locationName || `${config.center.lat}_${config.center.lng}`;
-
-  return config;
+  return configPath;
 }
 
-const CONFIG = loadConfig();
+const CONFIG = loadCampaignConfig(resolveConfigPath());
+const CLI_OPTIONS = {
+  fresh: process.argv.slice(2).includes('--fresh'),
+  estimateOnly: process.argv.slice(2).includes('--estimate'),
+};
+const CHECKPOINT_PATH = getCheckpointPath(CONFIG.campaignName);
 const API_KEY = process.env.GOOGLE_MAPS_API_KEY;
 if (!API_KEY) throw new Error('❌ Missing GOOGLE_MAPS_API_KEY in .env');
 
+// Set in main() once the checkpoint (and the spend it carries) is loaded
+let costTracker = null;
+const PROVIDER = createPlacesProvider(CONFIG.places, {
+  apiKey: API_KEY,
+  delays: CONFIG.delays,
+  onRequest: (sku) => costTracker?.charge(sku),
+});
+
 // ============================================================
 // UTILITIES
 // ============================================================
@@ -77,221 +81,162 @@ function toCsv(rows) {
     'user_ratings_total',
     'maps_url',
     'business_status',
+    'found_by',
   ];
   
   const escape = (v) => `"${String(v ?? '').replace(/"/g, '""')}"`;
+  const format = (v) => (Array.isArray(v) ? v.join(';') : v);
   const lines = [header.map(escape).join(',')];
   
   for (const row of rows) {
-    lines.push(header.map(key => escape(row[key])).join(','));
+    lines.push(header.map(key => escape(format(row[key]))).join(','));
   }
   
   return lines.join('\n');
 }
 
 // ============================================================
-// GRID GENERATION
-// ============================================================
-function generateGridPoints(center, steps, latStep, lngStep) {
-  const points = [];
-  
-  for (let i = -steps; i <= steps; i++) {
-    for (let j = -steps; j <= steps; j++) {
-      points.push({
-        lat: center.lat + i * latStep,
-        lng: center.lng + j * lngStep,
-      });
-    }
-  }
-  
-  return points;
-}
-
-// ============================================================
-// GOOGLE PLACES API
+// COLLECTION LOGIC
 // ============================================================
 
 /**
- * Validates API key by making test request
+ * Adds place IDs from a result page, returns how many places the page had.
+ * Places outside the search boundary still count toward the page size
+ * (it drives adaptive splitting) but are not collected.
  */
-async function validateApiKey() {
-  const url = new URL('https://maps.googleapis.com/maps/api/place/details/json');
-  url.searchParams.set('place_id', 'ChIJN1t_tDeuEmsRUsoyG83frY4');
-  url.searchParams.set('key', API_KEY);
-
-  const res = await fetch(url);
-  const data = await res.json();
-  
-  if (data.status !== 'OK') {
-    throw new Error(
-      `❌ Invalid API key or Places API not enabled. Status: ${data.status}`
-    );
+function addPageResults(page, uniqueIds, boundary) {
+  for (const place of page.places) {
+    if (!place.place_id) continue;
+    if (boundary && place.location && !isPointInBoundary(boundary, place.location)) continue;
+    uniqueIds.add(place.place_id);
   }
-  
-  console.log('✅ API key validated');
+  return page.places.length;
 }
 
 /**
- * Performs Nearby Search for a location
+ * Processes single grid cell and collects place IDs.
+ * Follows pagination up to the provider's result cap and returns
+ * the number of results the cell produced, or null if the search failed.
  */
-async function nearbySearch(params) {
-  const url = new URL('https://maps.googleapis.com/maps/api/place/nearbysearch/json');
+async function processGridPoint(cell, search, uniqueIds) {
+  const query = { cell, keyword: search.keyword, placeType: search.placeType };
+  const firstPage = await PROVIDER.searchPage(query);
 
-  if (params.pagetoken) {
-    url.searchParams.set('pagetoken', params.pagetoken);
-  } else {
-    url.searchParams.set('location', `${params.location.lat},${params.location.lng}`);
-    url.searchParams.set('radius', String(params.radius));
-    url.searchParams.set('type', params.type);
-    url.searchParams.set('keyword', params.keyword);
-    url.searchParams.set('language', 'de');
+  if (firstPage.status !== 'OK' && firstPage.status !== 'ZERO_RESULTS') {
+    console.warn(`   ⚠️  Search returned ${firstPage.status} – skipping point`);
+    return null;
   }
-  
-  url.searchParams.set('key', API_KEY);
 
-  const response = await fetch(url);
-  return await response.json();
-}
-
-/**
- * Fetches next page with exponential backoff and retry logic
- */
-async function fetchNextPage(token, maxAttempts = 8) {
-  let delay = CONFIG.delays.retryBase;
-
-  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
-    await sleep(delay);
-    const page = await nearbySearch({ pagetoken: token });
+  let resultCount = addPageResults(firstPage, uniqueIds, search.boundary);
+  console.log(
+    `   ✅ Page 1: ${firstPage.places.length} places, total unique: ${uniqueIds.size}`
+  );
 
-    // Success cases
-    if (page.status === 'OK' || page.status === 'ZERO_RESULTS') {
-      return page;
-    }
+  // Follow next pages while available (max 3 pages of 20)
+  let token = firstPage.nextPageToken;
+  let pageNumber = 1;
 
-    // Token not ready - increase delay
-    if (page.status === 'INVALID_REQUEST') {
-      console.log(`   ⏳ Token not ready, attempt ${attempt}/${maxAttempts}`);
-      delay = Math.min(delay * 1.5, 10000);
-      continue;
-    }
+  while (token && pageNumber < 3) {
+    // Without adaptive splitting there is no point paging past the target
+    if (!search.grid.adaptive.enabled && uniqueIds.size >= search.targetCount) break;
 
-    // Quota exceeded - wait longer
-    if (page.status === 'OVER_QUERY_LIMIT') {
-      console.warn('   ⚠️  OVER_QUERY_LIMIT, waiting 5s...');
-      await sleep(CONFIG.delays.overLimitBackoff);
-      continue;
-    }
+    const page = await PROVIDER.searchPage({ ...query, pageToken: token });
+    if (!page || page.status !== 'OK') break;
 
-    // Unexpected error
-    throw new Error(
-      `Unexpected pagination status: ${page.status} – ${page.error_message || ''}`
+    pageNumber++;
+    resultCount += addPageResults(page, uniqueIds, search.boundary);
+    console.log(
+      `   ✅ Page ${pageNumber}: ${page.places.length} places, total unique: ${uniqueIds.size}`
     );
+    token = page.nextPageToken;
   }
 
-  console.warn('   ⚠️  Pagination failed after multiple attempts – skipping');
-  return null;
+  return resultCount;
 }
 
 /**
- * Fetches detailed information for a place
+ * Collects place IDs for one search from all its grid cells.
+ * With adaptive search enabled, cells that saturate the result cap are
+ * split into four smaller cells and queued, up to grid.adaptive.maxDepth.
+ * Progress is checkpointed after every cell; a resumed run picks up the
+ * saved queue and retries cells whose search failed.
  */
-async function fetchPlaceDetails(placeId) {
-  const url = new URL('https://maps.googleapis.com/maps/api/place/details/json');
-  url.searchParams.set('place_id', placeId);
-  url.searchParams.set('language', 'de');
-  url.searchParams.set('fields', [
-    'place_id',
-    'name',
-    'formatted_address',
-    'international_phone_number',
-    'formatted_phone_number',
-    'website',
-    'url',
-    'rating',
-    'user_ratings_total',
-    'business_status',
-  ].join(','));
-  url.searchParams.set('key', API_KEY);
+async function collectPlaceIds(search, checkpoint) {
+  const state = checkpoint.collections[search.id];
 
-  const response = await fetch(url);
-  const data = await response.json();
-
-  if (data.status !== 'OK') {
-    throw new Error(`Details failed: ${data.status} – ${data.error_message || ''}`);
+  if (state.done) {
+    console.log(`⏭️  Place IDs already collected (${state.placeIds.length}) – using checkpoint`);
+    return state.placeIds.slice(0, search.targetCount);
   }
-  
-  return data.result;
-}
 
-// ============================================================
-// COLLECTION LOGIC
-// ============================================================
-
-/**
- * Processes single grid point and collects place IDs
- */
-async function processGridPoint(point, uniqueIds) {
-  const firstPage = await nearbySearch({
-    location: point,
-    radius: CONFIG.radius,
-    type: CONFIG.placeType,
-    keyword: CONFIG.keyword,
-  });
+  const visited = new Set(state.visited);
+  const queue = [
+    ...state.failed,
+    ...(state.queue ?? generateSearchGrid(search)),
+  ].filter(cell => !visited.has(cellKey(cell)));
+  state.failed = [];
 
-  if (firstPage.status !== 'OK' && firstPage.status !== 'ZERO_RESULTS') {
-    console.warn(`   ⚠️  NearbySearch returned ${firstPage.status} – skipping point`);
-    return;
+  if (state.queue) {
+    console.log(`♻️  Resuming: ${visited.size} points visited, ${queue.length} remaining`);
+  } else {
+    console.log(`📍 Generated ${queue.length} grid points`);
   }
-
-  // Add IDs from first page
-  for (const place of firstPage.results || []) {
-    if (place.place_id) uniqueIds.add(place.place_id);
+  if (search.boundary) {
+    console.log(`🗺️  Boundary: ${search.boundary.source} – points and places outside it are skipped`);
   }
-  
-  console.log(
-    `   ✅ Page 1: ${firstPage.results?.length || 0} places, total unique: ${uniqueIds.size}`
-  );
-
-  // Fetch second page if available
-  if (firstPage.next_page_token && uniqueIds.size < CONFIG.targetCount) {
-    const secondPage = await fetchNextPage(firstPage.next_page_token);
-    
-    if (secondPage && secondPage.status === 'OK') {
-      for (const place of secondPage.results || []) {
-        if (place.place_id) uniqueIds.add(place.place_id);
-      }
-      console.log(
-        `   ✅ Page 2: ${secondPage.results?.length || 0} places, total unique: ${uniqueIds.size}`
-      );
-    }
+  if (search.grid.adaptive.enabled) {
+    console.log(
+      `🌳 Adaptive search on (max depth ${search.grid.adaptive.maxDepth}, ` +
+      `split at ${search.grid.adaptive.splitThreshold} results)`
+    );
   }
-}
 
-/**
- * Collects place IDs from all grid points
- */
-async function collectPlaceIds() {
-  const points = generateGridPoints(
-    CONFIG.center,
-    CONFIG.grid.steps,
-    CONFIG.grid.latStep,
-    CONFIG.grid.lngStep
-  );
-  
-  console.log(`📍 Generated ${points.length} grid points`);
-
-  const uniqueIds = new Set();
+  const uniqueIds = new Set(state.placeIds);
+  let processed = 0;
 
-  for (let idx = 0; idx < points.length; idx++) {
-    const point = points[idx];
+  while (queue.length > 0) {
+    const cell = queue.shift();
+    processed++;
     console.log(
-      `\n🔍 Point ${idx + 1}/${points.length}: ` +
-      `(${point.lat.toFixed(5)}, ${point.lng.toFixed(5)})`
+      `\n🔍 Point ${processed}/${processed + queue.length}: ` +
+      `(${cell.lat.toFixed(5)}, ${cell.lng.toFixed(5)}) r=${cell.radius}m depth=${cell.depth}`
     );
 
-    await processGridPoint(point, uniqueIds);
+    let resultCount;
+    try {
+      resultCount = await processGridPoint(cell, search, uniqueIds);
+    } catch (error) {
+      // Budget cap mid-cell: keep the cell queued so the resumed run searches it
+      if (error.code === 'BUDGET_EXCEEDED') {
+        state.queue = [cell, ...queue];
+        state.placeIds = Array.from(uniqueIds);
+      }
+      throw error;
+    }
 
-    if (uniqueIds.size >= CONFIG.targetCount) {
+    if (resultCount === null) {
+      state.failed.push(cell);
+    } else {
+      visited.add(cellKey(cell));
+
+      if (shouldSplitCell(cell, resultCount, search.grid.adaptive, PROVIDER.resultCap)) {
+        const children = splitCell(cell)
+          .filter(child => !search.boundary || cellIntersectsBoundary(search.boundary, child));
+        console.log(`   🌳 Cell saturated (${resultCount} results) – splitting into ${children.length}`);
+        // Depth-first: search the dense area before moving on
+        queue.unshift(...children);
+      }
+    }
+
+    const targetReached = uniqueIds.size >= search.targetCount;
+
+    state.visited = Array.from(visited);
+    state.queue = [...queue];
+    state.placeIds = Array.from(uniqueIds);
+    state.done = targetReached || (queue.length === 0 && state.failed.length === 0);
+    saveCheckpoint(CHECKPOINT_PATH, checkpoint);
+
+    if (targetReached) {
       console.log(`\n🎯 Target count reached: ${uniqueIds.size}`);
       break;
     }
@@ -299,77 +244,114 @@ async function collectPlaceIds() {
     await sleep(CONFIG.delays.betweenPoints);
   }
 
+  if (state.failed.length > 0) {
+    console.warn(`\n⚠️  ${state.failed.length} points failed – they will be retried on the next run`);
+  }
+
   console.log(`\n🎯 Total unique place_ids collected: ${uniqueIds.size}`);
-  return Array.from(uniqueIds).slice(0, CONFIG.targetCount);
+  return Array.from(uniqueIds).slice(0, search.targetCount);
 }
 
 /**
- * Formats place details into output structure
+ * Runs every search in the campaign and dedupes place_ids across them.
+ * Returns the unique IDs in discovery order and, per ID, the searches that found it.
  */
-function formatPlaceDetails(details, placeId) {
-  return {
-    name: details.name || '',
-    phone: details.international_phone_number || details.formatted_phone_number || '',
-    website_url: details.website || '',
-    address: details.formatted_address || '',
-    place_id: details.place_id || placeId,
-    rating: details.rating || '',
-    user_ratings_total: details.user_ratings_total || '',
-    maps_url: details.url || '',
-    business_status: details.business_status || '',
-  };
+async function collectCampaignPlaceIds(checkpoint) {
+  const foundBy = new Map();
+
+  for (let idx = 0; idx < CONFIG.searches.length; idx++) {
+    const search = CONFIG.searches[idx];
+    console.log('\n' + '='.repeat(70));
+    console.log(`🗺️  Search ${idx + 1}/${CONFIG.searches.length}: ${search.id}`);
+    console.log('='.repeat(70));
+
+    const placeIds = await collectPlaceIds(search, checkpoint);
+
+    for (const id of placeIds) {
+      if (!foundBy.has(id)) foundBy.set(id, []);
+      foundBy.get(id).push(search.id);
+    }
+  }
+
+  if (CONFIG.searches.length > 1) {
+    console.log(`\n🧮 ${foundBy.size} unique place_ids across ${CONFIG.searches.length} searches`);
+  }
+
+  return { placeIds: Array.from(foundBy.keys()), foundBy };
 }
 
 /**
- * Fetches details for all collected place IDs
+ * Fetches details for all collected place IDs.
+ * Details already stored in the checkpoint are reused; every new result
+ * is checkpointed immediately so a crash never pays for the same call twice.
  */
-async function fetchAllDetails(placeIds) {
-  console.log(`\n📦 Fetching details for ${placeIds.length} places...`);
-  const results = [];
+async function fetchAllDetails(placeIds, checkpoint) {
+  const cached = placeIds.filter(id => checkpoint.details[id]).length;
+  console.log(`\n📦 Fetching details for ${placeIds.length - cached} places (${cached} from checkpoint)...`);
 
   for (let i = 0; i < placeIds.length; i++) {
     const id = placeIds[i];
-    
+    if (checkpoint.details[id]) continue;
+
     try {
-      const details = await fetchPlaceDetails(id);
-      results.push(formatPlaceDetails(details, id));
+      const details = await PROVIDER.fetchDetails(id);
+      checkpoint.details[id] = formatPlaceRow(details, id, CONFIG.places.details);
+      saveCheckpoint(CHECKPOINT_PATH, checkpoint);
 
       if ((i + 1) % 10 === 0) {
         console.log(`   ...processed ${i + 1}/${placeIds.length}`);
       }
     } catch (error) {
+      // Quota, budget or network failure: stop here, the checkpoint keeps what we have
+      if (
+        error.status === 'OVER_QUERY_LIMIT' ||
+        error.code === 'BUDGET_EXCEEDED' ||
+        error.name === 'TypeError'
+      ) throw error;
       console.warn(`   ⚠️  Error for place_id ${id}: ${error.message}`);
     }
 
     await sleep(CONFIG.delays.betweenDetails);
   }
 
-  return results;
+  return placeIds.map(id => checkpoint.details[id]).filter(Boolean);
+}
+
+/**
+ * Tags each result row with the searches that found it
+ */
+function tagResults(results, foundBy) {
+  return results.map(row => ({
+    ...row,
+    found_by: foundBy.get(row.place_id) || [],
+  }));
 }
 
 /**
  * Saves results to JSON and CSV files (dynamic filenames)
  */
 function saveResults(results) {
-  // Build output filenames based on location name, type, and keyword
-  const safeName = (str) => str.replace(/[^a-z0-9]/gi, '_').toLowerCase();
-  const locationPart = safeName(CONFIG.locationName);
-  const typePart = safeName(CONFIG.placeType);
-  const keywordPart = safeName(CONFIG.keyword);
-
-  const baseFilename = `places_${locationPart}_${typePart}_${keywordPart}`;
+  const baseFilename = getOutputBaseName(CONFIG);
   const jsonPath = path.join('./out', `${baseFilename}.json`);
   const csvPath = path.join('./out', `${baseFilename}.csv`);
 
   const outputMeta = {
     timestamp: new Date().toISOString(),
     config: {
-      center: CONFIG.center,
-      radius: CONFIG.radius,
-      keyword: CONFIG.keyword,
-      type: CONFIG.placeType,
-      targetCount: CONFIG.targetCount,
-      gridSteps: CONFIG.grid.steps,
+      campaignName: CONFIG.campaignName,
+      places: CONFIG.places,
+      searches: CONFIG.searches.map(search => ({
+        id: search.id,
+        city: search.city,
+        center: search.center,
+        radius: search.radius,
+        keyword: search.keyword,
+        type: search.placeType,
+        targetCount: search.targetCount,
+        gridSteps: search.grid.steps,
+        boundary: search.boundary?.source ?? null,
+        adaptive: search.grid.adaptive,
+      })),
     },
     count: results.length,
   };
@@ -389,25 +371,57 @@ function saveResults(results) {
 async function main() {
   console.log('🚀 Starting Google Places collection...\n');
 
+  logCostEstimate(CONFIG, estimateCampaignCost(CONFIG));
+  if (CLI_OPTIONS.estimateOnly) return;
+
+  let checkpoint = null;
+
   try {
-    // 1. Validate API key
-    await validateApiKey();
+    // 1. Load or reset checkpoint
+    if (CLI_OPTIONS.fresh) {
+      discardCheckpoint(CHECKPOINT_PATH);
+      console.log('🧹 Fresh run: checkpoint discarded');
+    }
 
-    // 2. Collect place IDs
-    const placeIds = await collectPlaceIds();
+    const loaded = loadCheckpoint(CHECKPOINT_PATH, CONFIG);
+    checkpoint = loaded.checkpoint;
+    costTracker = createCostTracker(CONFIG, checkpoint.cost);
+    if (loaded.resumed) {
+      console.log(`♻️  Resuming from checkpoint: ${CHECKPOINT_PATH} (use --fresh to start over)`);
+      console.log(`💰 Spent so far: ${costTracker.summary()}`);
+    }
+
+    // 2. Validate API key (billed like any other request)
+    await PROVIDER.validateApiKey();
+    console.log(`✅ API key validated (provider: ${PROVIDER.name}, language: ${CONFIG.places.language})`);
+
+    // 3. Collect place IDs
+    const { placeIds, foundBy } = await collectCampaignPlaceIds(checkpoint);
     
     if (placeIds.length === 0) {
       throw new Error('No place_ids found');
     }
 
-    // 3. Fetch details
-    const results = await fetchAllDetails(placeIds);
+    // 4. Fetch details
+    const results = await fetchAllDetails(placeIds, checkpoint);
 
-    // 4. Save results
-    saveResults(results);
+    // 5. Save results
+    saveResults(tagResults(results, foundBy));
+    console.log(`💰 API spend: ${costTracker.summary()}`);
 
   } catch (error) {
+    // Budget cap is a clean stop, not a crash: save the tally and exit
+    if (error.code === 'BUDGET_EXCEEDED') {
+      saveCheckpoint(CHECKPOINT_PATH, checkpoint);
+      console.warn(`\n💸 ${error.message}`);
+      console.warn(`💰 API spend: ${costTracker.summary()}`);
+      console.warn(`💾 Progress is kept in ${CHECKPOINT_PATH} – raise budget.limitUsd and re-run to continue`);
+      process.exitCode = 2;
+      return;
+    }
+
     console.error(`\n❌ Fatal error: ${error.message}`);
+    console.error(`💾 Progress is kept in ${CHECKPOINT_PATH} – re-run to continue`);
     throw error;
   }
 }
@@ -415,6 +429,13 @@ async function main() {
 // ============================================================
 // RUN
 // ============================================================
+
+// Checkpoint is written after every call, so Ctrl+C can exit right away
+process.on('SIGINT', () => {
+  console.warn(`\n⏸️  Interrupted. Progress saved in ${CHECKPOINT_PATH} – re-run to continue.`);
+  process.exit(130);
+});
+
 main().catch(error => {
   console.error(`\n❌ Unhandled error: ${error.message}`);
   process.exit(1);
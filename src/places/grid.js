@@ -0,0 +1,95 @@
+// src/places/grid.js
+// Search-area geometry for the Places collector: the initial square grid
+// and the quadtree split used by adaptive search.
+
+import { cellIntersectsBoundary } from './boundary.js';
+
+/**
+ * Lays down a square grid of cells around the center.
+ * Each cell carries its own span and radius so it can be subdivided later.
+ *
+ * @param {Object} center - { lat, lng }
+ * @param {number} steps - Cells on each side of the center
+ * @param {number} latStep - Cell height in degrees
+ * @param {number} lngStep - Cell width in degrees
+ * @param {number} radius - Nearby Search radius in meters
+ * @returns {Array<Object>} Cells { lat, lng, latSpan, lngSpan, radius, depth }
+ */
+export function generateGridPoints(center, steps, latStep, lngStep, radius) {
+  const points = [];
+
+  for (let i = -steps; i <= steps; i++) {
+    for (let j = -steps; j <= steps; j++) {
+      points.push({
+        lat: center.lat + i * latStep,
+        lng: center.lng + j * lngStep,
+        latSpan: latStep,
+        lngSpan: lngStep,
+        radius,
+        depth: 0,
+      });
+    }
+  }
+
+  return points;
+}
+
+/**
+ * Initial grid for a search, without the cells outside its boundary (if any)
+ *
+ * @param {Object} search - Search from loadCampaignConfig
+ * @returns {Array<Object>} Cells
+ */
+export function generateSearchGrid(search) {
+  const points = generateGridPoints(
+    search.center,
+    search.grid.steps,
+    search.grid.latStep,
+    search.grid.lngStep,
+    search.radius
+  );
+
+  if (!search.boundary) return points;
+  return points.filter(cell => cellIntersectsBoundary(search.boundary, cell));
+}
+
+/**
+ * Splits a cell into four quadrants with half the span and half the radius
+ *
+ * @param {Object} cell - Cell produced by generateGridPoints or splitCell
+ * @returns {Array<Object>} Four child cells, one level deeper
+ */
+export function splitCell(cell) {
+  const latOffset = cell.latSpan / 4;
+  const lngOffset = cell.lngSpan / 4;
+
+  return [
+    [-1, -1],
+    [-1, 1],
+    [1, -1],
+    [1, 1],
+  ].map(([dLat, dLng]) => ({
+    lat: cell.lat + dLat * latOffset,
+    lng: cell.lng + dLng * lngOffset,
+    latSpan: cell.latSpan / 2,
+    lngSpan: cell.lngSpan / 2,
+    radius: Math.round(cell.radius / 2),
+    depth: cell.depth + 1,
+  }));
+}
+
+/**
+ * Decides whether a cell saturated the result cap and should be subdivided
+ *
+ * @param {Object} cell - Cell that was just searched
+ * @param {number} resultCount - Results returned across all pages for the cell
+ * @param {Object} adaptive - config.grid.adaptive
+ * @param {number} [resultCap] - Most results the provider can return per cell
+ * @returns {boolean}
+ */
+export function shouldSplitCell(cell, resultCount, adaptive, resultCap = Infinity) {
+  if (!adaptive?.enabled) return false;
+  if (cell.depth >= adaptive.maxDepth) return false;
+  if (Math.round(cell.radius / 2) < adaptive.minRadius) return false;
+  return resultCount >= Math.min(adaptive.splitThreshold, resultCap);
+}
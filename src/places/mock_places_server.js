@@ -0,0 +1,326 @@
+// src/places/mock_places_server.js
+// Local mock of the Google Places endpoints used by the collector, for
+// running fetch_dentists_german.js without spending API quota.
+// Serves both the legacy endpoints and Places API (New) from one base URL.
+//
+// Usage:
+//   node src/places/mock_places_server.js
+//   PLACES_API_BASE_URL=http://localhost:8787 GOOGLE_MAPS_API_KEY=test \
+//     node src/places/fetch_dentists_german.js
+//
+// Fake clinics sit on a fixed lattice (LATTICE_STEP degrees apart), so
+// dense areas saturate the result cap and neighbouring cells overlap.
+
+import http from 'http';
+
+const PORT = Number(process.env.MOCK_PLACES_PORT || 8787);
+const LATTICE_STEP = 0.004;
+const PAGE_SIZE = 20;
+const MAX_RESULTS = 60;
+
+// ============================================================
+// FAKE DATA
+// ============================================================
+
+const toRad = (deg) => (deg * Math.PI) / 180;
+
+function distanceMeters(a, b) {
+  const dLat = toRad(b.lat - a.lat);
+  const dLng = toRad(b.lng - a.lng);
+  const h =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * 6371000 * Math.asin(Math.sqrt(h));
+}
+
+function placeId(i, j) {
+  return `mock_${i}_${j}`;
+}
+
+function parsePlaceId(id) {
+  const match = /^mock_(-?\d+)_(-?\d+)$/.exec(id);
+  return match ? { i: Number(match[1]), j: Number(match[2]) } : null;
+}
+
+function latticePoint(i, j) {
+  return { lat: i * LATTICE_STEP, lng: j * LATTICE_STEP };
+}
+
+/**
+ * All lattice clinics inside a bounding box, filtered by a predicate
+ */
+function placesInBox(low, high, predicate) {
+  const places = [];
+  for (let i = Math.ceil(low.lat / LATTICE_STEP); i * LATTICE_STEP <= high.lat; i++) {
+    for (let j = Math.ceil(low.lng / LATTICE_STEP); j * LATTICE_STEP <= high.lng; j++) {
+      const location = latticePoint(i, j);
+      if (predicate(location)) places.push({ id: placeId(i, j), location });
+    }
+  }
+  return places;
+}
+
+function placesInCircle(center, radius) {
+  const dLat = radius / 111320;
+  const dLng = radius / (111320 * Math.cos(toRad(center.lat)));
+  return placesInBox(
+    { lat: center.lat - dLat, lng: center.lng - dLng },
+    { lat: center.lat + dLat, lng: center.lng + dLng },
+    (location) => distanceMeters(center, location) <= radius
+  )
+    .sort((a, b) => distanceMeters(center, a.location) - distanceMeters(center, b.location))
+    .slice(0, MAX_RESULTS);
+}
+
+function placesInRectangle(low, high) {
+  return placesInBox(low, high, () => true).slice(0, MAX_RESULTS);
+}
+
+function fakeDetails(id) {
+  const parsed = parsePlaceId(id);
+  if (!parsed) return null;
+
+  const { i, j } = parsed;
+  const n = Math.abs(i * 31 + j);
+  return {
+    id,
+    location: latticePoint(i, j),
+    name: `Mock Dental ${i}/${j}`,
+    phone: `+61 2 9${String(n).padStart(7, '0').slice(-7)}`,
+    // Every fifth clinic has no website
+    website: n % 5 === 0 ? null : `https://mock-dental-${i}-${j}.example/`,
+    address: `${n % 300} Mock Street, Mocktown`,
+    rating: 3.5 + (n % 15) / 10,
+    reviews: 5 + (n % 400),
+    primaryType: 'dentist',
+    // day 0 = Sunday, times as [hour, minute]
+    periods: [
+      { day: 1, open: [8, 0], close: [17, 0] },
+      { day: 2, open: [8, 0], close: [17, 0] },
+      { day: 3, open: [8, 0], close: [19, 0] },
+      { day: 4, open: [8, 0], close: [17, 0] },
+      { day: 5, open: [8, 0], close: [15, 0] },
+    ],
+    reviewTexts: [
+      {
+        rating: 5,
+        text: 'Great dentist, painless treatment and friendly staff.',
+        time: 1700000000 + n * 3600,
+      },
+      {
+        // Every third clinic is hard to reach by phone
+        rating: n % 3 === 0 ? 2 : 4,
+        text: n % 3 === 0
+          ? 'Good care, but nobody answers the phone – I called five times before getting an appointment.'
+          : 'Quick appointment, clean practice.',
+        time: 1690000000 + n * 3600,
+      },
+    ],
+    weekdayText: [
+      'Monday: 8:00 AM – 5:00 PM',
+      'Tuesday: 8:00 AM – 5:00 PM',
+      'Wednesday: 8:00 AM – 7:00 PM',
+      'Thursday: 8:00 AM – 5:00 PM',
+      'Friday: 8:00 AM – 3:00 PM',
+      'Saturday: Closed',
+      'Sunday: Closed',
+    ],
+  };
+}
+
+// ============================================================
+// PAGINATION
+// ============================================================
+
+const encodeToken = (state) => Buffer.from(JSON.stringify(state)).toString('base64url');
+const decodeToken = (token) => JSON.parse(Buffer.from(token, 'base64url').toString('utf8'));
+
+function paginate(places, offset) {
+  const page = places.slice(offset, offset + PAGE_SIZE);
+  const nextOffset = offset + PAGE_SIZE;
+  return { page, nextOffset: nextOffset < places.length ? nextOffset : null };
+}
+
+// ============================================================
+// LEGACY ENDPOINTS
+// ============================================================
+
+function legacyNearbySearch(params) {
+  let state;
+  if (params.get('pagetoken')) {
+    state = decodeToken(params.get('pagetoken'));
+  } else {
+    const [lat, lng] = params.get('location').split(',').map(Number);
+    state = { lat, lng, radius: Number(params.get('radius')), offset: 0 };
+  }
+
+  const places = placesInCircle({ lat: state.lat, lng: state.lng }, state.radius);
+  const { page, nextOffset } = paginate(places, state.offset);
+
+  return {
+    status: page.length > 0 ? 'OK' : 'ZERO_RESULTS',
+    results: page.map(p => ({ place_id: p.id, geometry: { location: p.location } })),
+    ...(nextOffset !== null ? { next_page_token: encodeToken({ ...state, offset: nextOffset }) } : {}),
+  };
+}
+
+const legacyTime = ([hour, minute]) => `${String(hour).padStart(2, '0')}${String(minute).padStart(2, '0')}`;
+
+function legacyDetails(params) {
+  const id = params.get('place_id');
+  // The collector validates its key against Google's Sydney office
+  const d = fakeDetails(id) || (id === 'ChIJN1t_tDeuEmsRUsoyG83frY4' ? fakeDetails('mock_0_0') : null);
+  if (!d) return { status: 'NOT_FOUND' };
+
+  return {
+    status: 'OK',
+    result: {
+      place_id: id,
+      name: d.name,
+      formatted_address: d.address,
+      international_phone_number: d.phone,
+      website: d.website ?? undefined,
+      url: `https://maps.google.com/?cid=${id}`,
+      rating: d.rating,
+      user_ratings_total: d.reviews,
+      business_status: 'OPERATIONAL',
+      geometry: { location: d.location },
+      types: [d.primaryType, 'health', 'point_of_interest', 'establishment'],
+      opening_hours: {
+        open_now: false,
+        weekday_text: d.weekdayText,
+        periods: d.periods.map(p => ({
+          open: { day: p.day, time: legacyTime(p.open) },
+          close: { day: p.day, time: legacyTime(p.close) },
+        })),
+      },
+      reviews: d.reviewTexts.map(r => ({
+        author_name: 'Mock Patient',
+        rating: r.rating,
+        text: r.text,
+        language: 'en',
+        time: r.time,
+        relative_time_description: 'a month ago',
+      })),
+    },
+  };
+}
+
+// ============================================================
+// PLACES API (NEW) ENDPOINTS
+// ============================================================
+
+const toLatLng = (p) => ({ lat: p.latitude, lng: p.longitude });
+const toNewPlace = (p) => ({
+  id: p.id,
+  location: { latitude: p.location.lat, longitude: p.location.lng },
+});
+
+function newSearchNearby(body) {
+  const circle = body.locationRestriction.circle;
+  const places = placesInCircle(toLatLng(circle.center), circle.radius)
+    .slice(0, body.maxResultCount || PAGE_SIZE);
+  return { places: places.map(toNewPlace) };
+}
+
+function newSearchText(body) {
+  const rect = body.locationRestriction?.rectangle;
+  if (!rect) return { places: [] };
+
+  const places = placesInRectangle(toLatLng(rect.low), toLatLng(rect.high));
+  const offset = body.pageToken ? decodeToken(body.pageToken).offset : 0;
+  const { page, nextOffset } = paginate(places, offset);
+
+  return {
+    places: page.map(toNewPlace),
+    ...(nextOffset !== null ? { nextPageToken: encodeToken({ offset: nextOffset }) } : {}),
+  };
+}
+
+function newDetails(id) {
+  const d = fakeDetails(id) || (id === 'ChIJN1t_tDeuEmsRUsoyG83frY4' ? fakeDetails('mock_0_0') : null);
+  if (!d) return null;
+
+  return {
+    id,
+    displayName: { text: d.name, languageCode: 'en' },
+    formattedAddress: d.address,
+    internationalPhoneNumber: d.phone,
+    websiteUri: d.website ?? undefined,
+    googleMapsUri: `https://maps.google.com/?cid=${id}`,
+    rating: d.rating,
+    userRatingCount: d.reviews,
+    businessStatus: 'OPERATIONAL',
+    location: { latitude: d.location.lat, longitude: d.location.lng },
+    primaryType: d.primaryType,
+    types: [d.primaryType, 'health', 'point_of_interest', 'establishment'],
+    regularOpeningHours: {
+      openNow: false,
+      weekdayDescriptions: d.weekdayText,
+      periods: d.periods.map(p => ({
+        open: { day: p.day, hour: p.open[0], minute: p.open[1] },
+        close: { day: p.day, hour: p.close[0], minute: p.close[1] },
+      })),
+    },
+    reviews: d.reviewTexts.map(r => ({
+      rating: r.rating,
+      text: { text: r.text, languageCode: 'en' },
+      originalText: { text: r.text, languageCode: 'en' },
+      relativePublishTimeDescription: 'a month ago',
+      publishTime: new Date(r.time * 1000).toISOString(),
+      authorAttribution: { displayName: 'Mock Patient' },
+    })),
+    reviewSummary: { text: { text: 'Patients praise the friendly staff but mention long waits on the phone.' } },
+  };
+}
+
+// ============================================================
+// SERVER
+// ============================================================
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'content-type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+async function readBody(req) {
+  let raw = '';
+  for await (const chunk of req) raw += chunk;
+  return raw ? JSON.parse(raw) : {};
+}
+
+const server = http.createServer(async (req, res) => {
+  const url = new URL(req.url, `http://localhost:${PORT}`);
+  console.log(`${req.method} ${url.pathname}`);
+
+  try {
+    if (url.pathname.endsWith('/nearbysearch/json')) {
+      return sendJson(res, 200, legacyNearbySearch(url.searchParams));
+    }
+    if (url.pathname.endsWith('/details/json')) {
+      return sendJson(res, 200, legacyDetails(url.searchParams));
+    }
+    if (req.method === 'POST' && url.pathname.endsWith('/places:searchNearby')) {
+      return sendJson(res, 200, newSearchNearby(await readBody(req)));
+    }
+    if (req.method === 'POST' && url.pathname.endsWith('/places:searchText')) {
+      return sendJson(res, 200, newSearchText(await readBody(req)));
+    }
+
+    const detailsMatch = /\/places\/([^/]+)$/.exec(url.pathname);
+    if (req.method === 'GET' && detailsMatch) {
+      const place = newDetails(decodeURIComponent(detailsMatch[1]));
+      return place
+        ? sendJson(res, 200, place)
+        : sendJson(res, 404, { error: { code: 404, status: 'NOT_FOUND', message: 'Place not found' } });
+    }
+
+    sendJson(res, 404, { error: { code: 404, status: 'NOT_FOUND', message: `No mock for ${url.pathname}` } });
+  } catch (error) {
+    sendJson(res, 400, { error: { code: 400, status: 'INVALID_ARGUMENT', message: error.message } });
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`🧪 Mock Places API listening on http://localhost:${PORT}`);
+});
@@ -0,0 +1,86 @@
+// src/places/providers/fields.js
+// Output row format shared by all Places providers, and the optional
+// detail fields that can be selected in config (places.details).
+
+/**
+ * Optional detail fields, selectable via config places.details.
+ * Each provider maps these to its own field names / field mask.
+ */
+export const OPTIONAL_DETAIL_FIELDS = [
+  'opening_hours',
+  'reviews',
+  'review_summary',
+  'primary_type',
+  'types',
+];
+
+/**
+ * Normalized shapes of the structured optional fields (same for every provider):
+ *
+ *   opening_hours: {
+ *     open_now: boolean | null,
+ *     weekday_text: string[],
+ *     periods: [{ day, open: 'HH:MM', close: 'HH:MM' | null, close_day }]  // day 0 = Sunday, close null = open 24h,
+ *                                                                       // close_day != day when it closes after midnight
+ *   }
+ *   reviews: [{ rating, text, language, published_at (ISO) | null, relative_time }]  // at most 5
+ *   types: string[]
+ */
+
+/**
+ * Formats hour/minute into 'HH:MM'
+ */
+export function formatTime(hour, minute = 0) {
+  return `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`;
+}
+
+/**
+ * Validates the places.details selection from config
+ *
+ * @param {string[]} details - Selected optional fields
+ * @returns {string[]} The same list, deduplicated
+ */
+export function validateDetailFields(details = []) {
+  if (!Array.isArray(details)) {
+    throw new Error('places.details must be an array');
+  }
+
+  const unknown = details.filter(field => !OPTIONAL_DETAIL_FIELDS.includes(field));
+  if (unknown.length > 0) {
+    throw new Error(
+      `Unknown places.details field(s): ${unknown.join(', ')}. ` +
+      `Allowed: ${OPTIONAL_DETAIL_FIELDS.join(', ')}`
+    );
+  }
+
+  return [...new Set(details)];
+}
+
+/**
+ * Formats normalized provider details into the output row structure.
+ * Base columns are always present; optional fields only when selected.
+ *
+ * @param {Object} place - Normalized details returned by a provider
+ * @param {string} placeId - Requested place_id (fallback if missing in response)
+ * @param {string[]} detailFields - Selected optional fields
+ * @returns {Object} Output row
+ */
+export function formatPlaceRow(place, placeId, detailFields = []) {
+  const row = {
+    name: place.name || '',
+    phone: place.phone || '',
+    website_url: place.website || '',
+    address: place.address || '',
+    place_id: place.place_id || placeId,
+    rating: place.rating || '',
+    user_ratings_total: place.user_ratings_total || '',
+    maps_url: place.maps_url || '',
+    business_status: place.business_status || '',
+  };
+
+  for (const field of detailFields) {
+    row[field] = place[field] ?? null;
+  }
+
+  return row;
+}
@@ -0,0 +1,45 @@
+// src/places/providers/index.js
+// Selects the Places provider from config.places.
+// Every provider exposes the same interface:
+//   name, resultCap, validateApiKey(), searchPage({ cell, keyword, placeType, pageToken }),
+//   fetchDetails(placeId) -> normalized details for formatPlaceRow
+
+import { createLegacyProvider } from './legacy.js';
+import { createPlacesNewProvider } from './places_new.js';
+import { validateDetailFields } from './fields.js';
+
+export { formatPlaceRow, OPTIONAL_DETAIL_FIELDS } from './fields.js';
+
+const PROVIDERS = {
+  legacy: createLegacyProvider,
+  new: createPlacesNewProvider,
+};
+
+/**
+ * Creates the provider selected in config.places
+ *
+ * @param {Object} places - Normalized config.places
+ * @param {Object} options
+ * @param {string} options.apiKey - Google Maps API key
+ * @param {Object} options.delays - config.delays
+ * @param {Function} [options.onRequest] - Called with the billing SKU before each request
+ */
+export function createPlacesProvider(places, { apiKey, delays, onRequest }) {
+  const factory = PROVIDERS[places.provider];
+  if (!factory) {
+    throw new Error(
+      `Unknown places.provider: ${places.provider}. Allowed: ${Object.keys(PROVIDERS).join(', ')}`
+    );
+  }
+
+  return factory({
+    apiKey,
+    delays,
+    onRequest,
+    language: places.language,
+    details: validateDetailFields(places.details),
+    searchMethod: places.searchMethod,
+    // PLACES_API_BASE_URL points any provider at a local mock server
+    baseUrl: process.env.PLACES_API_BASE_URL || places.baseUrl,
+  });
+}
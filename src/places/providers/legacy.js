@@ -0,0 +1,241 @@
+// src/places/providers/legacy.js
+// Places provider for the legacy endpoints
+// (maps/api/place/nearbysearch/json and details/json).
+
+import { sleep } from '../../utils/sleep.js';
+import { formatTime } from './fields.js';
+
+const DEFAULT_BASE_URL = 'https://maps.googleapis.com/maps/api/place';
+
+// Test place used to validate the key (Google Sydney office)
+const VALIDATION_PLACE_ID = 'ChIJN1t_tDeuEmsRUsoyG83frY4';
+
+const BASE_DETAIL_FIELDS = [
+  'place_id',
+  'name',
+  'formatted_address',
+  'international_phone_number',
+  'formatted_phone_number',
+  'website',
+  'url',
+  'rating',
+  'user_ratings_total',
+  'business_status',
+];
+
+// Optional detail field -> legacy Details fields
+const OPTIONAL_FIELD_MAP = {
+  opening_hours: ['opening_hours'],
+  reviews: ['reviews'],
+  review_summary: [], // not available on the legacy endpoint
+  primary_type: ['types'],
+  types: ['types'],
+};
+
+// Legacy periods use { day, time: 'HHMM' }
+const toPeriodTime = (point) => (point ? formatTime(point.time.slice(0, 2), point.time.slice(2)) : null);
+
+function normalizeOpeningHours(hours) {
+  if (!hours) return null;
+  return {
+    open_now: hours.open_now ?? null,
+    weekday_text: hours.weekday_text || [],
+    periods: (hours.periods || []).map(period => ({
+      day: period.open.day,
+      open: toPeriodTime(period.open),
+      close: toPeriodTime(period.close),
+      close_day: period.close?.day ?? null,
+    })),
+  };
+}
+
+function normalizeReviews(reviews) {
+  if (!reviews) return null;
+  return reviews.map(review => ({
+    rating: review.rating ?? null,
+    text: review.text || '',
+    language: review.language || null,
+    published_at: review.time ? new Date(review.time * 1000).toISOString() : null,
+    relative_time: review.relative_time_description || null,
+  }));
+}
+
+/**
+ * Creates the legacy Places provider
+ *
+ * @param {Object} options
+ * @param {string} options.apiKey - Google Maps API key
+ * @param {string} options.language - Response language
+ * @param {string[]} options.details - Selected optional detail fields
+ * @param {string} [options.baseUrl] - Override for a local mock server
+ * @param {Object} options.delays - config.delays (retryBase, overLimitBackoff)
+ * @param {Function} [options.onRequest] - Called with the billing SKU before each request
+ */
+export function createLegacyProvider({
+  apiKey,
+  language,
+  details,
+  baseUrl,
+  delays,
+  onRequest = () => {},
+}) {
+  const base = (baseUrl || DEFAULT_BASE_URL).replace(/\/+$/, '');
+
+  const detailFields = [...new Set([
+    ...BASE_DETAIL_FIELDS,
+    ...details.flatMap(field => OPTIONAL_FIELD_MAP[field]),
+  ])];
+
+  async function getJson(endpoint, params, sku) {
+    onRequest(sku);
+
+    const url = new URL(`${base}/${endpoint}`);
+    for (const [key, value] of Object.entries(params)) {
+      url.searchParams.set(key, String(value));
+    }
+    url.searchParams.set('key', apiKey);
+
+    const response = await fetch(url);
+    return await response.json();
+  }
+
+  /**
+   * Performs Nearby Search for a location
+   */
+  async function nearbySearch(params) {
+    if (params.pagetoken) {
+      return getJson('nearbysearch/json', { pagetoken: params.pagetoken }, 'nearbySearch');
+    }
+
+    return getJson('nearbysearch/json', {
+      location: `${params.location.lat},${params.location.lng}`,
+      radius: params.radius,
+      type: params.type,
+      keyword: params.keyword,
+      language,
+    }, 'nearbySearch');
+  }
+
+  /**
+   * Fetches next page with exponential backoff and retry logic
+   */
+  async function fetchNextPage(token, maxAttempts = 8) {
+    let delay = delays.retryBase;
+
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      await sleep(delay);
+      const page = await nearbySearch({ pagetoken: token });
+
+      // Success cases
+      if (page.status === 'OK' || page.status === 'ZERO_RESULTS') {
+        return page;
+      }
+
+      // Token not ready - increase delay
+      if (page.status === 'INVALID_REQUEST') {
+        console.log(`   ⏳ Token not ready, attempt ${attempt}/${maxAttempts}`);
+        delay = Math.min(delay * 1.5, 10000);
+        continue;
+      }
+
+      // Quota exceeded - wait longer
+      if (page.status === 'OVER_QUERY_LIMIT') {
+        console.warn('   ⚠️  OVER_QUERY_LIMIT, waiting 5s...');
+        await sleep(delays.overLimitBackoff);
+        continue;
+      }
+
+      // Unexpected error
+      throw new Error(
+        `Unexpected pagination status: ${page.status} – ${page.error_message || ''}`
+      );
+    }
+
+    console.warn('   ⚠️  Pagination failed after multiple attempts – skipping');
+    return null;
+  }
+
+  return {
+    name: 'legacy',
+    // Nearby Search returns at most 3 pages of 20
+    resultCap: 60,
+
+    /**
+     * Validates API key by making test request
+     */
+    async validateApiKey() {
+      const data = await getJson('details/json', {
+        place_id: VALIDATION_PLACE_ID,
+        fields: 'place_id',
+      }, 'validation');
+
+      if (data.status !== 'OK') {
+        throw new Error(
+          `❌ Invalid API key or Places API not enabled. Status: ${data.status}`
+        );
+      }
+    },
+
+    /**
+     * Fetches one page of search results for a cell.
+     * Returns null when a follow-up page could not be fetched.
+     */
+    async searchPage({ cell, keyword, placeType, pageToken }) {
+      const page = pageToken
+        ? await fetchNextPage(pageToken)
+        : await nearbySearch({
+            location: cell,
+            radius: cell.radius,
+            type: placeType,
+            keyword,
+          });
+
+      if (!page) return null;
+
+      return {
+        status: page.status,
+        errorMessage: page.error_message || null,
+        places: (page.results || []).map(place => ({
+          place_id: place.place_id,
+          location: place.geometry?.location ?? null,
+        })),
+        nextPageToken: page.next_page_token || null,
+      };
+    },
+
+    /**
+     * Fetches detailed information for a place, normalized for formatPlaceRow
+     */
+    async fetchDetails(placeId) {
+      const data = await getJson('details/json', {
+        place_id: placeId,
+        language,
+        fields: detailFields.join(','),
+      }, 'details');
+
+      if (data.status !== 'OK') {
+        const error = new Error(`Details failed: ${data.status} – ${data.error_message || ''}`);
+        error.status = data.status;
+        throw error;
+      }
+
+      const details = data.result;
+      return {
+        place_id: details.place_id,
+        name: details.name,
+        phone: details.international_phone_number || details.formatted_phone_number,
+        website: details.website,
+        address: details.formatted_address,
+        maps_url: details.url,
+        rating: details.rating,
+        user_ratings_total: details.user_ratings_total,
+        business_status: details.business_status,
+        opening_hours: normalizeOpeningHours(details.opening_hours),
+        reviews: normalizeReviews(details.reviews),
+        review_summary: null,
+        primary_type: details.types?.[0] ?? null,
+        types: details.types ?? null,
+      };
+    },
+  };
+}
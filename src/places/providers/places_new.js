@@ -0,0 +1,253 @@
+// src/places/providers/places_new.js
+// Places provider for Places API (New): places:searchNearby,
+// places:searchText and place details, all requested with field masks.
+
+import { formatTime } from './fields.js';
+
+const DEFAULT_BASE_URL = 'https://places.googleapis.com/v1';
+
+// Test place used to validate the key (Google Sydney office)
+const VALIDATION_PLACE_ID = 'ChIJN1t_tDeuEmsRUsoyG83frY4';
+
+const SEARCH_METHODS = ['searchNearby', 'searchText'];
+
+// searchNearby has no pagination; searchText pages up to 60 results
+const RESULT_CAPS = { searchNearby: 20, searchText: 60 };
+
+const BASE_DETAIL_FIELDS = [
+  'id',
+  'displayName',
+  'formattedAddress',
+  'internationalPhoneNumber',
+  'nationalPhoneNumber',
+  'websiteUri',
+  'googleMapsUri',
+  'rating',
+  'userRatingCount',
+  'businessStatus',
+];
+
+// Optional detail field -> Places API (New) field mask entries
+const OPTIONAL_FIELD_MAP = {
+  opening_hours: ['regularOpeningHours'],
+  reviews: ['reviews'],
+  review_summary: ['reviewSummary'],
+  primary_type: ['primaryType'],
+  types: ['types'],
+};
+
+// New API periods use { day, hour, minute }
+const toPeriodTime = (point) => (point ? formatTime(point.hour, point.minute) : null);
+
+function normalizeOpeningHours(hours) {
+  if (!hours) return null;
+  return {
+    open_now: hours.openNow ?? null,
+    weekday_text: hours.weekdayDescriptions || [],
+    periods: (hours.periods || []).map(period => ({
+      day: period.open.day,
+      open: toPeriodTime(period.open),
+      close: toPeriodTime(period.close),
+      close_day: period.close?.day ?? null,
+    })),
+  };
+}
+
+function normalizeReviews(reviews) {
+  if (!reviews) return null;
+  return reviews.map(review => ({
+    rating: review.rating ?? null,
+    text: review.text?.text || review.originalText?.text || '',
+    language: review.text?.languageCode || review.originalText?.languageCode || null,
+    published_at: review.publishTime || null,
+    relative_time: review.relativePublishTimeDescription || null,
+  }));
+}
+
+// HTTP status -> legacy-style status, so callers handle both providers alike
+const HTTP_STATUS_MAP = {
+  400: 'INVALID_REQUEST',
+  403: 'REQUEST_DENIED',
+  404: 'NOT_FOUND',
+  429: 'OVER_QUERY_LIMIT',
+};
+
+/**
+ * Creates the Places API (New) provider
+ *
+ * @param {Object} options
+ * @param {string} options.apiKey - Google Maps API key
+ * @param {string} options.language - Response language (languageCode)
+ * @param {string[]} options.details - Selected optional detail fields
+ * @param {string} [options.searchMethod] - 'searchText' (default) or 'searchNearby'
+ * @param {string} [options.baseUrl] - Override for a local mock server
+ * @param {Function} [options.onRequest] - Called with the billing SKU before each request
+ */
+export function createPlacesNewProvider({
+  apiKey,
+  language,
+  details,
+  searchMethod = 'searchText',
+  baseUrl,
+  onRequest = () => {},
+}) {
+  if (!SEARCH_METHODS.includes(searchMethod)) {
+    throw new Error(
+      `Unknown places.searchMethod: ${searchMethod}. Allowed: ${SEARCH_METHODS.join(', ')}`
+    );
+  }
+
+  const base = (baseUrl || DEFAULT_BASE_URL).replace(/\/+$/, '');
+
+  const detailMask = [
+    ...BASE_DETAIL_FIELDS,
+    ...details.flatMap(field => OPTIONAL_FIELD_MAP[field]),
+  ].join(',');
+
+  async function request(pathname, { method = 'GET', fieldMask, body, sku } = {}) {
+    onRequest(sku);
+
+    const url = new URL(`${base}/${pathname}`);
+    if (method === 'GET' && language) url.searchParams.set('languageCode', language);
+
+    const response = await fetch(url, {
+      method,
+      headers: {
+        'content-type': 'application/json',
+        'x-goog-api-key': apiKey,
+        'x-goog-fieldmask': fieldMask,
+      },
+      body: body ? JSON.stringify(body) : undefined,
+    });
+
+    const data = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+      return {
+        status: HTTP_STATUS_MAP[response.status] || data.error?.status || `HTTP_${response.status}`,
+        errorMessage: data.error?.message || response.statusText,
+        data: null,
+      };
+    }
+
+    return { status: 'OK', errorMessage: null, data };
+  }
+
+  function buildSearchBody({ cell, keyword, placeType, pageToken }) {
+    // Nearby Search takes no keyword (campaign.js runs one search per placeType)
+    if (searchMethod === 'searchNearby') {
+      return {
+        includedTypes: [placeType],
+        maxResultCount: 20,
+        languageCode: language,
+        locationRestriction: {
+          circle: {
+            center: { latitude: cell.lat, longitude: cell.lng },
+            radius: cell.radius,
+          },
+        },
+      };
+    }
+
+    // Text Search only restricts to rectangles, which matches grid cells exactly
+    return {
+      textQuery: keyword,
+      includedType: placeType,
+      pageSize: 20,
+      languageCode: language,
+      ...(pageToken ? { pageToken } : {}),
+      locationRestriction: {
+        rectangle: {
+          low: { latitude: cell.lat - cell.latSpan / 2, longitude: cell.lng - cell.lngSpan / 2 },
+          high: { latitude: cell.lat + cell.latSpan / 2, longitude: cell.lng + cell.lngSpan / 2 },
+        },
+      },
+    };
+  }
+
+  return {
+    name: 'new',
+    resultCap: RESULT_CAPS[searchMethod],
+
+    /**
+     * Validates API key by requesting a single ID-only place
+     */
+    async validateApiKey() {
+      const res = await request(`places/${VALIDATION_PLACE_ID}`, { fieldMask: 'id', sku: 'validation' });
+
+      if (res.status !== 'OK') {
+        throw new Error(
+          `❌ Invalid API key or Places API (New) not enabled. Status: ${res.status} – ${res.errorMessage || ''}`
+        );
+      }
+    },
+
+    /**
+     * Fetches one page of search results for a cell
+     */
+    async searchPage({ cell, keyword, placeType, pageToken }) {
+      const fieldMask = searchMethod === 'searchText'
+        ? 'places.id,places.location,nextPageToken'
+        : 'places.id,places.location';
+
+      const res = await request(`places:${searchMethod}`, {
+        method: 'POST',
+        fieldMask,
+        sku: searchMethod,
+        body: buildSearchBody({ cell, keyword, placeType, pageToken }),
+      });
+
+      if (res.status !== 'OK') {
+        return { status: res.status, errorMessage: res.errorMessage, places: [], nextPageToken: null };
+      }
+
+      const places = (res.data.places || []).map(place => ({
+        place_id: place.id,
+        location: place.location
+          ? { lat: place.location.latitude, lng: place.location.longitude }
+          : null,
+      }));
+
+      return {
+        status: places.length > 0 ? 'OK' : 'ZERO_RESULTS',
+        errorMessage: null,
+        places,
+        nextPageToken: res.data.nextPageToken || null,
+      };
+    },
+
+    /**
+     * Fetches detailed information for a place, normalized for formatPlaceRow
+     */
+    async fetchDetails(placeId) {
+      const res = await request(`places/${encodeURIComponent(placeId)}`, {
+        fieldMask: detailMask,
+        sku: 'details',
+      });
+
+      if (res.status !== 'OK') {
+        const error = new Error(`Details failed: ${res.status} – ${res.errorMessage || ''}`);
+        error.status = res.status;
+        throw error;
+      }
+
+      const place = res.data;
+      return {
+        place_id: place.id,
+        name: place.displayName?.text,
+        phone: place.internationalPhoneNumber || place.nationalPhoneNumber,
+        website: place.websiteUri,
+        address: place.formattedAddress,
+        maps_url: place.googleMapsUri,
+        rating: place.rating,
+        user_ratings_total: place.userRatingCount,
+        business_status: place.businessStatus,
+        opening_hours: normalizeOpeningHours(place.regularOpeningHours),
+        reviews: normalizeReviews(place.reviews),
+        review_summary: place.reviewSummary?.text?.text ?? null,
+        primary_type: place.primaryType ?? null,
+        types: place.types ?? null,
+      };
+    },
+  };
+}
@@ -0,0 +1,41 @@
+// Shared rate limiters for Stage 1.
+// PSI, CrUX and plain site fetches have separate quotas, so each gets its
+// own token bucket; site fetches also go through per-host politeness, so
+// the signals and stack stages never hit the same clinic site at once.
+
+import { CONFIG } from "./config.js";
+import { createTokenBucket, createHostLimiter } from "./utils/rateLimit.js";
+
+const { RATE_LIMITS } = CONFIG;
+
+export const psiLimiter = createTokenBucket({
+  perMinute: RATE_LIMITS.PSI_PER_MINUTE,
+  // mobile + desktop start together
+  burst: 2,
+});
+
+export const cruxLimiter = createTokenBucket({
+  perMinute: RATE_LIMITS.CRUX_PER_MINUTE,
+  burst: 2,
+});
+
+const siteBucket = createTokenBucket({
+  perMinute: RATE_LIMITS.SITE_PER_MINUTE,
+  burst: CONFIG.CONCURRENCY,
+});
+
+const siteHosts = createHostLimiter({ minGapMs: RATE_LIMITS.SITE_HOST_GAP_MS });
+
+/**
+ * Runs a site request (fetch + body read) under the site bucket and
+ * per-host politeness
+ *
+ * @param {string} url - URL being fetched (its host is the politeness key)
+ * @param {Function} fn - Performs the request
+ */
+export function withSiteLimits(url, fn) {
+  return siteHosts.run(url, async () => {
+    await siteBucket.take();
+    return fn();
+  });
+}
@@ -1,19 +1,11 @@
 import fs from "fs";
 import { parse } from "csv-parse/sync";
 import "dotenv/config";
-import { z } from "zod";
 import * as cheerio from "cheerio";
 import { getCrux } from "./crux/crux.js";
 import { fetchHtmlWithHeaders, detectStack } from "./stack/index.js";
 import { CONFIG } from "./config.js";
-
-const LeadSchema = z.object({
-  name: z.string().min(1),
-  phone: z.string().min(1),
-  email: z.string().email(),
-  website_url: z.string().url(),
-  address: z.string().min(1),
-});
+import { LeadSchema } from "./schemas.js";
 
 function readCsv(filePath) {
   const csv = fs.readFileSync(filePath, "utf8");
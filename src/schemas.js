@@ -1,8 +1,60 @@
 import { z } from "zod";
 
-export const LeadSchema = z.object({
+// CSV cells come in as strings ("" when empty), JSON as typed values
+const emptyToNull = (v) => (v === undefined || v === null || String(v).trim() === "" ? null : v);
+
+const optionalString = z.preprocess(emptyToNull, z.string().nullable());
+const optionalNumber = z.preprocess(emptyToNull, z.coerce.number().nullable());
+
+// Places output: array in JSON, "a;b" in CSV
+const foundBy = z.preprocess(
+  (v) => (typeof v === "string" ? v.split(";").filter(Boolean) : v ?? []),
+  z.array(z.string())
+);
+
+/**
+ * Fields shared by every lead, whether it comes from a hand-made CSV
+ * or from the Places collector (src/places/fetch_dentists_german.js)
+ */
+const leadFields = {
   name: z.string().min(1),
   phone: z.string().min(1),
-  website_url: z.string().url(),
   address: z.string().min(1),
-});
\ No newline at end of file
+  email: z.preprocess(emptyToNull, z.string().email().nullable()),
+
+  // Google Places
+  place_id: optionalString,
+  rating: optionalNumber,
+  user_ratings_total: optionalNumber,
+  maps_url: optionalString,
+  business_status: optionalString,
+  found_by: foundBy,
+};
+
+// buildLeadHeader reads Google rating/count from lead.reviews, so the
+// Places review texts (optional detail field "reviews") move to place_reviews
+function withReviews({ reviews, ...lead }) {
+  return {
+    ...lead,
+    place_reviews: Array.isArray(reviews) ? reviews : lead.place_reviews ?? null,
+    reviews:
+      lead.rating !== null || lead.user_ratings_total !== null
+        ? { rating: lead.rating, count: lead.user_ratings_total }
+        : null,
+  };
+}
+
+// passthrough keeps optional Places details (opening_hours, types, ...)
+export const LeadSchema = z
+  .object({ ...leadFields, website_url: z.string().url() })
+  .passthrough()
+  .transform(withReviews);
+
+export const NoWebsiteLeadSchema = z
+  .object(leadFields)
+  .passthrough()
+  .transform((lead) => withReviews({ ...lead, website_url: null }));
+
+export function hasWebsite(row) {
+  return emptyToNull(row?.website_url) !== null;
+}
@@ -0,0 +1,185 @@
+// src/scoring/leadScore.js
+// Rule-based lead opportunity score (0-100) computed from Stage 1 data.
+// Same input always gives the same score; every point is explained in the
+// breakdown so operators can see why a lead is hot.
+
+// ClickUp priorities, highest first (min score to get the priority)
+export const PRIORITY_THRESHOLDS = [
+  { priority: "Urgent", min: 75 },
+  { priority: "High", min: 55 },
+  { priority: "Normal", min: 35 },
+  { priority: "Low", min: 0 },
+];
+
+// Max points per rule; they add up to 100. Niche files (niches/*.json)
+// override them, a rule with weight 0 is ignored
+export const DEFAULT_WEIGHTS = {
+  chatbot: 25,
+  booking: 20,
+  mobile_performance: 20,
+  tracking: 10,
+  social: 0,
+  reputation: 25,
+};
+
+const unknown = (reason) => ({ share: 0, reason });
+
+// Each rule returns the share (0-1) of its weight the lead earns and the
+// ClickUp tags that describe the opportunity
+export const RULES = {
+  chatbot(item) {
+    const chatbot = item.signals?.chatbot;
+    if (!chatbot) return unknown("Site signals unavailable");
+    return chatbot.has_chatbot
+      ? { share: 0, reason: `Has chat widget (${chatbot.vendor || "unknown"})` }
+      : { share: 1, reason: "No chatbot", tags: ["no-chatbot"] };
+  },
+
+  booking(item) {
+    if (!item.signals) return unknown("Site signals unavailable");
+
+    const type = item.signals.booking?.type || null;
+    if (!type) return { share: 1, reason: "No online booking", tags: ["no-booking"] };
+    if (type === "phone") return { share: 0.75, reason: "Booking by phone only", tags: ["phone-booking"] };
+    if (type === "form") return { share: 0.4, reason: "Booking via contact form", tags: ["form-booking"] };
+    return { share: 0, reason: `Online booking (${type})` };
+  },
+
+  mobile_performance(item) {
+    const score = item.pagespeed?.mobile?.categories?.performance;
+    if (typeof score !== "number") return unknown("No mobile PSI score");
+
+    if (score < 50) return { share: 1, reason: `Poor mobile PSI (${score})`, tags: ["performance"] };
+    if (score < 70) return { share: 0.6, reason: `Weak mobile PSI (${score})`, tags: ["performance"] };
+    if (score < 90) return { share: 0.25, reason: `Average mobile PSI (${score})` };
+    return { share: 0, reason: `Good mobile PSI (${score})` };
+  },
+
+  tracking(item) {
+    const tracking = item.signals?.tracking;
+    if (!tracking) return unknown("Site signals unavailable");
+
+    const missing = [
+      !tracking.ga4 && ["GA4", "no-ga4"],
+      !tracking.meta_pixel && ["Meta Pixel", "no-meta-pixel"],
+    ].filter(Boolean);
+
+    return missing.length > 0
+      ? {
+          share: missing.length / 2,
+          reason: `Missing ${missing.map(([name]) => name).join(", ")}`,
+          tags: missing.map(([, tag]) => tag),
+        }
+      : { share: 0, reason: "GA4 and Meta Pixel present" };
+  },
+
+  social(item) {
+    const social = item.signals?.contact?.social;
+    if (!social) return unknown("Social links not collected");
+
+    if (!social.instagram) {
+      return { share: 1, reason: "No Instagram on the site", tags: ["no-instagram"] };
+    }
+    return { share: 0, reason: "Instagram linked" };
+  },
+
+  // Established practices (many good reviews) have the demand worth capturing
+  reputation(item) {
+    const rating = Number(item.lead?.rating);
+    const reviews = Number(item.lead?.user_ratings_total);
+    if (!rating && !reviews) return unknown("No Places rating");
+
+    const ratingShare = rating >= 4.5 ? 0.4 : rating >= 4.0 ? 0.28 : rating >= 3.5 ? 0.12 : 0;
+    const reviewShare = reviews >= 100 ? 0.6 : reviews >= 30 ? 0.4 : reviews >= 10 ? 0.2 : 0;
+
+    return {
+      share: ratingShare + reviewShare,
+      reason: `Rating ${rating || "-"} from ${reviews || 0} reviews`,
+      tags: rating >= 4.5 && reviews >= 30 ? ["top-rated"] : [],
+    };
+  },
+};
+
+/**
+ * Maps a 0-100 score to a ClickUp priority
+ *
+ * @param {number} score
+ * @returns {"Urgent"|"High"|"Normal"|"Low"}
+ */
+export function scoreToPriority(score) {
+  return PRIORITY_THRESHOLDS.find((t) => score >= t.min).priority;
+}
+
+/**
+ * Scores a Stage 1 item
+ *
+ * @param {Object} item - Stage 1 result (lead, signals, pagespeed, ...)
+ * @param {Object} [weights] - Max points per rule (DEFAULT_WEIGHTS)
+ * @returns {{ score: number, priority: string, breakdown: Array<{ rule: string, points: number, max: number, reason: string, tags: string[] }> }}
+ */
+export function scoreLead(item, weights = DEFAULT_WEIGHTS) {
+  const breakdown = Object.entries(weights)
+    .filter(([, max]) => max > 0)
+    .map(([rule, max]) => {
+      const { share, reason, tags = [] } = RULES[rule](item);
+      return { rule, points: Math.round(share * max), max, reason, tags };
+    });
+
+  const total = breakdown.reduce((sum, b) => sum + b.max, 0);
+  const points = breakdown.reduce((sum, b) => sum + b.points, 0);
+  const score = total > 0 ? Math.round((points / total) * 100) : 0;
+
+  return { score, priority: scoreToPriority(score), breakdown };
+}
+
+/**
+ * One-line explanation of the points a lead earned, e.g.
+ * "No chatbot +25; Poor mobile PSI (38) +20"
+ */
+export function explainScore({ breakdown }) {
+  return breakdown
+    .filter((b) => b.points > 0)
+    .map((b) => `${b.reason} +${b.points}`)
+    .join("; ");
+}
+
+// City of a postal address: "Robert-Koch-Platz 11, 10115 Berlin, Germany" -> "Berlin",
+// "1 Hay St, Perth WA 6000, Australia" -> "Perth"
+function cityFromAddress(address) {
+  for (const part of String(address || "").split(",").map((p) => p.trim())) {
+    const match = part.match(/^\d{4,5}\s+(\D+)$/) || part.match(/^(\D+?)(?:\s+[A-Z]{2,3})?\s+\d{4,5}$/);
+    if (match) return match[1].trim();
+  }
+  return null;
+}
+
+/**
+ * ClickUp tags for a scored lead: the niche's base tags, the city from
+ * found_by ("perth:dentist:dentist") or the lead's address, else (lead
+ * without any address) the niche's default_city, then the tags of the
+ * rules that earned the most points
+ *
+ * @param {Object} item - Stage 1 result
+ * @param {{ breakdown: Array }} leadScore - scoreLead() result
+ * @param {{ base_tags?: string[], default_city?: string|null, max_tags?: number }} [niche]
+ * @returns {string[]}
+ */
+export function buildLeadTags(item, leadScore, { base_tags = [], default_city = null, max_tags = 6 } = {}) {
+  const lead = item.lead || {};
+  const foundIn = (lead.found_by || []).map((id) => String(id).split(":")[0]).filter(Boolean);
+  const addressCity = cityFromAddress(lead.address);
+  const cities = foundIn.length > 0
+    ? foundIn
+    : addressCity
+      ? [addressCity.replace(/\s+/g, "-")]
+      : default_city && !lead.address ? [default_city] : [];
+
+  const signalTags = [...leadScore.breakdown]
+    .filter((b) => b.points > 0)
+    .sort((a, b) => b.points - a.points)
+    .flatMap((b) => b.tags);
+
+  const base = [...new Set([...base_tags, ...cities].map((t) => t.toLowerCase()))];
+  const extra = [...new Set(signalTags)].filter((t) => !base.includes(t));
+  return [...base, ...extra.slice(0, max_tags)];
+}
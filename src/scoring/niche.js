@@ -0,0 +1,85 @@
+// src/scoring/niche.js
+// Campaign niche profiles (niches/<name>.json): scoring weights, the
+// base ClickUp tags and the audience the AI prompts are written for. Selected with --niche=<name|path> or the NICHE env var;
+// without either, the original campaign's niche (dentists) is used.
+
+import fs from "fs";
+import path from "path";
+import { readJson } from "../io/readJson.js";
+import { RULES } from "./leadScore.js";
+
+const NICHES_DIR = "./niches";
+
+// Used when no niche is selected (keeps the dentist tag of the original campaign)
+export const DEFAULT_NICHE = "dentists";
+
+const DEFAULT_MAX_TAGS = 6;
+
+function nichePath(nameOrPath) {
+  return nameOrPath.endsWith(".json") || nameOrPath.includes("/")
+    ? nameOrPath
+    : path.join(NICHES_DIR, `${nameOrPath}.json`);
+}
+
+function listNiches() {
+  if (!fs.existsSync(NICHES_DIR)) return [];
+  return fs
+    .readdirSync(NICHES_DIR)
+    .filter((name) => name.endsWith(".json"))
+    .map((name) => path.basename(name, ".json"));
+}
+
+/**
+ * Loads and validates a niche profile
+ *
+ * @param {string} [nameOrPath] - Niche name (niches/<name>.json) or file path
+ * @returns {{ name: string, label: string, region: string|null, base_tags: string[], default_city: string|null, max_tags: number, weights: Object }}
+ */
+export function loadNiche(nameOrPath = DEFAULT_NICHE) {
+  const filePath = nichePath(nameOrPath);
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Unknown niche: ${nameOrPath}. Available: ${listNiches().join(", ") || "none"}`);
+  }
+
+  const raw = readJson(filePath);
+  const weights = raw.weights || {};
+
+  for (const [rule, weight] of Object.entries(weights)) {
+    if (!RULES[rule]) {
+      throw new Error(`${filePath}: unknown scoring rule "${rule}". Available: ${Object.keys(RULES).join(", ")}`);
+    }
+    if (typeof weight !== "number" || weight < 0) {
+      throw new Error(`${filePath}: weight of "${rule}" must be a number >= 0`);
+    }
+  }
+
+  return {
+    name: raw.name || path.basename(filePath, ".json"),
+    label: raw.label || raw.name || path.basename(filePath, ".json"),
+    // Market the leads are in (prompt text, e.g. "Germany")
+    region: raw.region ?? null,
+    base_tags: raw.base_tags || [],
+    // City tag for leads with neither found_by nor an address (hand-made CSVs)
+    default_city: raw.default_city ?? null,
+    max_tags: raw.max_tags ?? DEFAULT_MAX_TAGS,
+    // Rules missing from the file are off
+    weights: Object.fromEntries(Object.keys(RULES).map((rule) => [rule, weights[rule] ?? 0])),
+  };
+}
+
+/**
+ * Who the leads are, for the AI prompts: "Dental practices in Germany"
+ *
+ * @param {{ label: string, region?: string|null }} niche
+ */
+export function describeNiche({ label, region = null }) {
+  return region ? `${label} in ${region}` : label;
+}
+
+/**
+ * Niche from CLI args (--niche=<name>), NICHE, or DEFAULT_NICHE
+ */
+export function resolveNiche(args) {
+  const arg = args.find((a) => a.startsWith("--niche="))?.slice("--niche=".length);
+  return loadNiche(arg || process.env.NICHE || DEFAULT_NICHE);
+}
@@ -136,6 +136,11 @@ function mergeContactSignals(merged, pageSignal) {
     ...merged.contact.emails,
     ...pageSignal.contact.emails,
   ]);
+
+  // First link found per network wins
+  for (const [network, url] of Object.entries(pageSignal.contact.social || {})) {
+    if (url && !merged.contact.social[network]) merged.contact.social[network] = url;
+  }
 }
 
 /**
@@ -173,6 +178,7 @@ function createEmptySignalStructure() {
     contact: {
       phones: [],
       emails: [],
+      social: {},
     },
     seo: {},
     crawled_pages: [],
@@ -186,14 +192,16 @@ function createEmptySignalStructure() {
 /**
  * Fetches additional pages with error handling
  */
-async function fetchAdditionalPages(links) {
+async function fetchAdditionalPages(links, pageCache, signal) {
   const pages = [];
   
   for (const link of links) {
     try {
-      const html = await fetchHtml(link);
+      const html = await fetchHtml(link, pageCache, { signal });
       pages.push({ url: link, html });
     } catch (error) {
+      // Stage timed out: stop crawling
+      if (signal?.aborted) throw error;
       // Silently skip failed pages
       // Could add logging here if needed: console.warn(`Failed to fetch ${link}`)
     }
@@ -226,6 +234,9 @@ function processAndMergeSignals(pages, homepageUrl) {
  * Collects signals from a website by crawling homepage and important pages
  * 
  * @param {string} websiteUrl - The homepage URL to analyze
+ * @param {Object} [options]
+ * @param {Object} [options.pages] - Page cache shared with other detectors
+ * @param {AbortSignal} [options.signal] - Stage timeout; cancels the page requests
  * @returns {Promise<Object>} Merged signals from all crawled pages
  * 
  * @example
@@ -233,16 +244,16 @@ function processAndMergeSignals(pages, homepageUrl) {
  * console.log(signals.chatbot.vendor); // 'intercom' or null
  * console.log(signals.tracking.ga4); // true or false
  */
-export async function collectSignals(websiteUrl) {
+export async function collectSignals(websiteUrl, { pages: pageCache = null, signal } = {}) {
   // 1. Fetch homepage
-  const homepageHtml = await fetchHtml(websiteUrl);
+  const homepageHtml = await fetchHtml(websiteUrl, pageCache, { signal });
   
   // 2. Find important internal links
   const importantLinks = pickImportantLinks(homepageHtml, websiteUrl, 2);
   
   // 3. Collect all pages
   const pages = [{ url: websiteUrl, html: homepageHtml }];
-  const additionalPages = await fetchAdditionalPages(importantLinks);
+  const additionalPages = await fetchAdditionalPages(importantLinks, pageCache, signal);
   pages.push(...additionalPages);
 
   // 4. Process and merge signals
@@ -1,8 +1,16 @@
-export async function fetchHtml(url) {
-  const res = await fetch(url, {
-    redirect: "follow",
-    headers: { "user-agent": "lead-pipeline/1.0" },
-  });
-  if (!res.ok) throw new Error(`Fetch failed ${res.status} ${res.statusText}`);
-  return await res.text();
+import { fetchPage } from "../pages/fetchPage.js";
+import { httpError } from "../utils/retry.js";
+
+/**
+ * Returns a page's HTML, through the lead's page cache when given
+ *
+ * @param {string} url
+ * @param {Object} [pages] - Page cache (src/pages/cache.js)
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Stage timeout
+ */
+export async function fetchHtml(url, pages = null, { signal } = {}) {
+  const page = pages ? await pages.get(url, { signal }) : await fetchPage(url, { signal });
+  if (!page.ok) throw httpError(`Fetch failed ${page.status}`, page);
+  return page.html;
 }
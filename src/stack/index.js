@@ -1,4 +1,5 @@
 import * as cheerio from "cheerio";
+import { fetchPage } from "../pages/fetchPage.js";
 
 // ============================================================
 // UTILITIES
@@ -48,30 +49,21 @@ function deduplicateTechnologies(technologies) {
 
 /**
  * Fetches URL and returns HTML with headers
+ * (through the lead's page cache when given)
  * @param {string} url - URL to fetch
+ * @param {Object} [pages] - Page cache (src/pages/cache.js)
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Stage timeout
  * @returns {Promise<Object>} { finalUrl, status, html, headers }
  */
-export async function fetchHtmlWithHeaders(url) {
-  const response = await fetch(url, {
-    redirect: "follow",
-    headers: { 
-      "user-agent": "lead-pipeline/1.0" 
-    },
-  });
-
-  const html = await response.text();
-  
-  // Convert Headers object to plain object
-  const headers = {};
-  response.headers.forEach((value, key) => {
-    headers[key] = value;
-  });
+export async function fetchHtmlWithHeaders(url, pages = null, { signal } = {}) {
+  const page = pages ? await pages.get(url, { signal }) : await fetchPage(url, { signal });
 
   return {
-    finalUrl: response.url,
-    status: response.status,
-    html,
-    headers,
+    finalUrl: page.final_url,
+    status: page.status,
+    html: page.html,
+    headers: page.headers,
   };
 }
 
@@ -0,0 +1,33 @@
+// src/stages/crux.js
+// Chrome UX Report field data for the origin (optional).
+
+import { CONFIG } from "../config.js";
+import { getCrux } from "../crux/crux.js";
+
+export const cruxStage = {
+  name: "crux",
+  critical: false,
+  dependsOn: [],
+  timeoutMs: 60000,
+  retry: { retries: 1, baseDelayMs: 2000 },
+
+  async run({ url, log, retry, signal }) {
+    log("  📈 CrUX data...");
+
+    const crux = await retry(() =>
+      getCrux({
+        websiteUrl: url,
+        apiKey: CONFIG.PSI_API_KEY,
+        formFactor: "PHONE",
+        includePage: false,
+        signal,
+      })
+    );
+    if (!crux) throw new Error("Data unavailable");
+
+    const category = crux.origin?.overall_category || "unknown";
+    log(`    ✅ CrUX: ${category}`);
+
+    return crux;
+  },
+};
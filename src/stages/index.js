@@ -0,0 +1,132 @@
+// src/stages/index.js
+// Stage registry for the Stage 1 data collection pipeline.
+// Every stage exposes the same interface:
+//   name, critical, dependsOn: [names], timeoutMs, retry: { retries, baseDelayMs },
+//   run({ url, leadKey, lead, log, retry, signal, untimed, results, pages }) -> stage data (throws on failure)
+// `signal` aborts on the stage timeout; `untimed(promise)` holds the timeout
+// while waiting behind other leads (see src/stages/runner.js).
+// Its data is stored as result[name] in the lead's output JSON.
+// Site pages must come from `pages` (src/pages/cache.js), so each page is
+// downloaded once per lead and stored for Stage 2.
+//
+// To add a stage, create src/stages/<name>.js and register it below.
+
+import { pagespeedStage } from "./pagespeed.js";
+import { signalsStage } from "./signals.js";
+import { cruxStage } from "./crux.js";
+import { stackStage } from "./stack.js";
+
+const STAGES = new Map();
+
+/**
+ * Adds a stage to the registry
+ *
+ * @param {Object} stage - Stage definition (see interface above)
+ */
+export function registerStage(stage) {
+  if (!stage?.name || typeof stage.run !== "function") {
+    throw new Error("Stage needs a name and a run() function");
+  }
+  if (STAGES.has(stage.name)) {
+    throw new Error(`Stage already registered: ${stage.name}`);
+  }
+
+  STAGES.set(stage.name, {
+    critical: false,
+    dependsOn: [],
+    timeoutMs: 60000,
+    retry: { retries: 0, baseDelayMs: 0 },
+    ...stage,
+  });
+}
+
+registerStage(pagespeedStage);
+registerStage(signalsStage);
+registerStage(cruxStage);
+registerStage(stackStage);
+
+/**
+ * All registered stages in dependency order
+ * (registration order among stages that do not depend on each other)
+ */
+export function getStages() {
+  const ordered = [];
+  const state = new Map(); // name -> "visiting" | "done"
+
+  function visit(stage, path) {
+    if (state.get(stage.name) === "done") return;
+    if (state.get(stage.name) === "visiting") {
+      throw new Error(`Stage dependency cycle: ${[...path, stage.name].join(" -> ")}`);
+    }
+
+    state.set(stage.name, "visiting");
+    for (const dep of stage.dependsOn) {
+      if (!STAGES.has(dep)) {
+        throw new Error(`Stage "${stage.name}" depends on unknown stage "${dep}"`);
+      }
+      visit(STAGES.get(dep), [...path, stage.name]);
+    }
+    state.set(stage.name, "done");
+    ordered.push(stage);
+  }
+
+  for (const stage of STAGES.values()) visit(stage, []);
+  return ordered;
+}
+
+export function getStageNames() {
+  return getStages().map((stage) => stage.name);
+}
+
+/**
+ * Applies --only / --skip to the registry.
+ * --only pulls in the stages it depends on; --skip also drops
+ * every stage that depends on a skipped one.
+ *
+ * @param {Object} selection
+ * @param {string[]} [selection.only] - Stage names to run
+ * @param {string[]} [selection.skip] - Stage names to leave out
+ * @returns {{ stages: Array<Object>, added: string[], dropped: string[] }}
+ */
+export function selectStages({ only = [], skip = [] } = {}) {
+  const stages = getStages();
+
+  const unknown = [...only, ...skip].filter((name) => !STAGES.has(name));
+  if (unknown.length > 0) {
+    throw new Error(
+      `Unknown stage: ${unknown.join(", ")}. Available: ${stages.map((s) => s.name).join(", ")}`
+    );
+  }
+
+  const selected = new Set(only.length > 0 ? only : stages.map((s) => s.name));
+  const added = [];
+  const dropped = [];
+
+  // Dependencies of --only stages (stages are in dependency order, so walk backwards)
+  for (const stage of [...stages].reverse()) {
+    if (!selected.has(stage.name)) continue;
+    for (const dep of stage.dependsOn) {
+      if (!selected.has(dep)) {
+        selected.add(dep);
+        added.push(dep);
+      }
+    }
+  }
+
+  for (const name of skip) selected.delete(name);
+
+  // Dependents of skipped stages
+  for (const stage of stages) {
+    if (!selected.has(stage.name)) continue;
+    if (stage.dependsOn.some((dep) => !selected.has(dep))) {
+      selected.delete(stage.name);
+      dropped.push(stage.name);
+    }
+  }
+
+  return {
+    stages: stages.filter((stage) => selected.has(stage.name)),
+    added,
+    dropped,
+  };
+}
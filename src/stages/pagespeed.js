@@ -0,0 +1,64 @@
+// src/stages/pagespeed.js
+// PageSpeed Insights lab data for mobile and desktop (critical). The
+// engine (PSI API or local Lighthouse) comes from CONFIG.PAGESPEED.ENGINE.
+
+import path from "path";
+import { CONFIG } from "../config.js";
+import { runLabAudit } from "../pagespeed/engine.js";
+import { saveScreenshots } from "../pagespeed/screenshots.js";
+import { archiveRuns } from "../pagespeed/archive.js";
+
+export const pagespeedStage = {
+  name: "pagespeed",
+  critical: true,
+  dependsOn: [],
+  // Two PSI runs (each up to ~60s) plus retries, per audit repeat
+  timeoutMs: 300000 * CONFIG.PAGESPEED.RUNS,
+  retry: { retries: 2, baseDelayMs: 5000 },
+
+  async run({ url, leadKey, log, retry, signal, untimed }) {
+    log("  📊 PageSpeed Insights...");
+
+    // Raw responses of the successful attempt, archived for renormalize
+    const rawRuns = { mobile: [], desktop: [] };
+
+    // Each strategy retries on its own, so a desktop 500 does not re-run mobile
+    const runStrategy = (strategy) =>
+      retry(
+        () => {
+          rawRuns[strategy] = [];
+          return runLabAudit({ url, strategy, log, signal, untimed, onResponse: (run) => rawRuns[strategy].push(run) });
+        },
+        { label: strategy }
+      );
+
+    // allSettled: wait for both so the attempt history is complete
+    const settled = await Promise.allSettled([
+      runStrategy("mobile"),
+      runStrategy("desktop"),
+    ]);
+    const failure = settled.find((s) => s.status === "rejected");
+    if (failure) throw failure.reason;
+    // Timed out: the lead is already saved as failed; leave its archive and screenshots alone
+    signal.throwIfAborted();
+
+    for (const strategy of ["mobile", "desktop"]) {
+      archiveRuns(leadKey, strategy, rawRuns[strategy], { url, runs_requested: CONFIG.PAGESPEED.RUNS });
+    }
+
+    // Images go to files; the stored result only references them
+    const screenshotDir = path.join(CONFIG.OUT_DIR, "screenshots", leadKey);
+    const [mobile, desktop] = settled.map((s) => saveScreenshots(s.value, screenshotDir));
+
+    const mobileScore = mobile.categories.performance;
+    const desktopScore = desktop.categories.performance;
+    const engines = [...new Set([mobile.engine, desktop.engine])].join("/");
+    const runs = mobile.variance ? `, median of ${mobile.variance.runs}` : "";
+    log(`    ✅ Mobile: ${mobileScore}% | Desktop: ${desktopScore}% (${engines}${runs})`);
+
+    const overBudget = mobile.budgets.checks.filter((check) => check.pass === false).map((check) => check.metric);
+    if (overBudget.length > 0) log(`    💸 Mobile over budget: ${overBudget.join(", ")}`);
+
+    return { mobile, desktop };
+  },
+};
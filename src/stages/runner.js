@@ -0,0 +1,107 @@
+// src/stages/runner.js
+// Runs one registered stage for one lead: the stage's retry policy, its
+// timeout clock and the abort signal the timeout fires.
+
+import { withRetry } from "../utils/retry.js";
+
+/**
+ * Runs one stage call under the stage's retry policy.
+ * Retries are logged; every attempt is appended to `history`
+ * (stored as result.attempts[stage] in the output JSON).
+ * Once `signal` aborts (stage timeout) no retry starts and the history,
+ * already saved with the failed lead, is left alone.
+ */
+async function runWithRetry(stage, fn, { log, history, signal, label = null }) {
+  try {
+    const { value, attempts } = await withRetry(fn, {
+      ...stage.retry,
+      label,
+      signal,
+      onRetry: ({ attempt, delayMs, reason, error }) => {
+        log(
+          `    🔁 ${label || stage.name} attempt ${attempt} failed (${reason}: ${error.message}) – ` +
+          `retrying in ${(delayMs / 1000).toFixed(1)}s`
+        );
+      },
+    });
+    if (!signal.aborted) history.push(...attempts);
+    return value;
+  } catch (error) {
+    if (!signal.aborted) history.push(...(error.attempts || []));
+    throw error;
+  }
+}
+
+/**
+ * Stage timeout clock. `untimed(promise)` holds the clock while the stage
+ * waits behind other leads on a shared queue (the local Lighthouse slot),
+ * so that wait does not count against this lead.
+ */
+function createStageClock(timeoutMs, onTimeout) {
+  let remainingMs = timeoutMs;
+  let startedAt = 0;
+  let timer = null;
+  let holds = 0;
+  let stopped = false;
+
+  const start = () => {
+    startedAt = Date.now();
+    timer = setTimeout(onTimeout, remainingMs);
+  };
+  const pause = () => {
+    clearTimeout(timer);
+    remainingMs -= Date.now() - startedAt;
+  };
+
+  start();
+
+  return {
+    async untimed(promise) {
+      if (holds++ === 0) pause();
+      try {
+        return await promise;
+      } finally {
+        if (--holds === 0 && !stopped) start();
+      }
+    },
+    stop() {
+      stopped = true;
+      clearTimeout(timer);
+    },
+  };
+}
+
+/**
+ * Runs a registered stage (src/stages) with its retry policy and timeout.
+ * On timeout the stage's signal aborts: page, PSI and CrUX requests are
+ * cancelled, a running local Lighthouse audit has its Chrome killed (freeing
+ * the slot) and no further retry starts.
+ *
+ * @param {Object} stage - Registered stage
+ * @param {Object} context - { url, leadKey, lead, log, history, results, pages }
+ * @returns {Promise<any>} Stage data
+ */
+export async function runStage(stage, { url, leadKey, lead, log, history, results, pages }) {
+  const controller = new AbortController();
+  const { signal } = controller;
+  const retry = (fn, { label } = {}) => runWithRetry(stage, fn, { log, history, signal, label });
+
+  let clock;
+  const timeout = new Promise((_, reject) => {
+    clock = createStageClock(stage.timeoutMs, () => {
+      const error = new Error(`Timed out after ${Math.round(stage.timeoutMs / 1000)}s`);
+      error.code = "STAGE_TIMEOUT";
+      controller.abort(error);
+      reject(error);
+    });
+  });
+
+  try {
+    return await Promise.race([
+      stage.run({ url, leadKey, lead, log, retry, signal, untimed: clock.untimed, results, pages }),
+      timeout,
+    ]);
+  } finally {
+    clock.stop();
+  }
+}
@@ -0,0 +1,24 @@
+// src/stages/signals.js
+// Chatbot, booking and contact signals crawled from the site (critical).
+
+import { collectSignals } from "../signals/crawl.js";
+
+export const signalsStage = {
+  name: "signals",
+  critical: true,
+  dependsOn: [],
+  timeoutMs: 180000,
+  retry: { retries: 2, baseDelayMs: 5000 },
+
+  async run({ url, log, retry, signal, pages }) {
+    log("  🔍 Signals collection...");
+
+    const signals = await retry(() => collectSignals(url, { pages, signal }));
+
+    const chatbot = signals.chatbot.has_chatbot ? signals.chatbot.vendor : "none";
+    const booking = signals.booking.type || "none";
+    log(`    ✅ Chat: ${chatbot} | Booking: ${booking}`);
+
+    return signals;
+  },
+};
@@ -0,0 +1,37 @@
+// src/stages/stack.js
+// CMS / framework / tooling detection from homepage HTML and headers (optional).
+
+import { fetchHtmlWithHeaders, detectStack } from "../stack/index.js";
+import { httpError } from "../utils/retry.js";
+
+export const stackStage = {
+  name: "stack",
+  critical: false,
+  dependsOn: [],
+  timeoutMs: 90000,
+  retry: { retries: 1, baseDelayMs: 2000 },
+
+  async run({ url, log, retry, signal, pages }) {
+    log("  🔧 Stack detection...");
+
+    const response = await retry(async () => {
+      const res = await fetchHtmlWithHeaders(url, pages, { signal });
+      // Other statuses still carry headers/HTML worth detecting on
+      if (res.status === 429 || res.status >= 500) {
+        throw httpError(`Site responded ${res.status}`, res);
+      }
+      return res;
+    });
+
+    const stack = {
+      fetched_from: response.finalUrl,
+      status: response.status,
+      ...detectStack({ html: response.html, headers: response.headers }),
+    };
+
+    const techCount = stack.technologies?.length || 0;
+    log(`    ✅ ${techCount} technologies detected`);
+
+    return stack;
+  },
+};
@@ -0,0 +1,412 @@
+// src/store/cli.js
+// Lead store commands.
+// Usage:
+//   node src/store/cli.js import [dir]        # load out/*.json and out/final/*.json into the store
+//   node src/store/cli.js query "<SQL>" [--json]
+//   node src/store/cli.js export [dir]        # write out/<lead_key>.json files from the store
+//   node src/store/cli.js history <lead_key|website_url>   # snapshots of one lead over time
+//   node src/store/cli.js diff <lead_key|website_url> [fromSnapshotId toSnapshotId] [--json]
+//   node src/store/cli.js diff --all [--csv=out/triggers.csv] [--json]   # latest vs previous snapshot
+//   node src/store/cli.js rank [--niche=<name>] [--csv=out/lead_ranking.csv] [--limit=N] [--json]   # leads by opportunity score
+//   node src/store/cli.js renormalize         # rebuild pagespeed results from out/psi_raw (offline)
+
+import fs from "fs";
+import path from "path";
+import { CONFIG } from "../config.js";
+import { readJson } from "../io/readJson.js";
+import { writeJson } from "../io/writeJson.js";
+import { writeCsv } from "../io/csv.js";
+import { getStageNames } from "../stages/index.js";
+import { diffSnapshots } from "../triggers/diffSnapshots.js";
+import { PRIORITY_THRESHOLDS, buildLeadTags, explainScore, scoreLead } from "../scoring/leadScore.js";
+import { resolveNiche } from "../scoring/niche.js";
+import { readArchivedRuns } from "../pagespeed/archive.js";
+import { normalizeRuns } from "../pagespeed/engine.js";
+import { saveScreenshots } from "../pagespeed/screenshots.js";
+import { sanitizeFileName } from "../utils/sanitizeFileName.js";
+import { openLeadStore } from "./leadStore.js";
+
+// Stage 1 outputs in dir (same filter as analyze_batch's file discovery)
+function listItemFiles(dir) {
+  if (!fs.existsSync(dir)) return [];
+
+  return fs
+    .readdirSync(dir, { withFileTypes: true })
+    .filter((e) => e.isFile() && e.name.endsWith(".json"))
+    .map((e) => e.name)
+    .filter((name) => !name.endsWith(".error.json") && !name.startsWith("_"));
+}
+
+function importFiles(store, dir) {
+  const runId = store.startRun("import", { dir }).id;
+  const stages = getStageNames();
+  const stats = { leads: 0, lead_packs: 0, already_stored: 0, skipped: 0 };
+
+  for (const filename of listItemFiles(dir)) {
+    const leadKey = path.basename(filename, ".json");
+    try {
+      const data = readJson(path.join(dir, filename));
+      if (!data?.item?.lead) throw new Error("missing item.lead");
+      const collectionId = store.saveCollection(leadKey, data.item, { runId, stages, skipStored: true });
+      if (collectionId === null) stats.already_stored++;
+      else stats.leads++;
+    } catch (error) {
+      console.warn(`  ⚠️  ${filename}: ${error.message}`);
+      stats.skipped++;
+    }
+  }
+
+  const finalDir = path.join(dir, "final");
+  for (const filename of listItemFiles(finalDir)) {
+    const leadKey = path.basename(filename, ".json");
+    try {
+      const csvPath = path.join(dir, "clickup", `${leadKey}.csv`);
+      const saved = store.saveLeadPack(leadKey, {
+        runId,
+        pack: readJson(path.join(finalDir, filename)),
+        csvPath: fs.existsSync(csvPath) ? csvPath : null,
+        skipStored: true,
+      });
+      if (saved) stats.lead_packs++;
+      else stats.already_stored++;
+    } catch (error) {
+      console.warn(`  ⚠️  final/${filename}: ${error.message}`);
+      stats.skipped++;
+    }
+  }
+
+  store.finishRun(runId, stats);
+  console.log(
+    `✅ Imported ${stats.leads} leads, ${stats.lead_packs} lead packs ` +
+    `(${stats.already_stored} already stored, ${stats.skipped} skipped)`
+  );
+}
+
+function exportFiles(store, dir) {
+  const leads = store.listCollectedLeads();
+
+  for (const { lead_key } of leads) {
+    writeJson(path.join(dir, `${lead_key}.json`), { item: store.getLatestItem(lead_key) });
+  }
+
+  console.log(`✅ Exported ${leads.length} leads to ${dir}`);
+}
+
+function runQuery(store, sql, asJson) {
+  if (!sql) throw new Error('Missing SQL, e.g. query "SELECT * FROM lead_overview LIMIT 10"');
+
+  const rows = store.query(sql);
+  if (asJson) {
+    console.log(JSON.stringify(rows, null, 2));
+  } else {
+    console.table(rows);
+    console.log(`${rows.length} row(s)`);
+  }
+}
+
+const signed = (n) => (n > 0 ? `+${n}` : String(n));
+
+function toLeadKey(leadArg) {
+  if (!leadArg) throw new Error("Missing lead_key or website_url");
+  return /^https?:\/\//.test(leadArg) ? sanitizeFileName(leadArg) : leadArg;
+}
+
+function showHistory(store, leadArg) {
+  const leadKey = toLeadKey(leadArg);
+  const snapshots = store.getLeadSnapshots(leadKey);
+  if (snapshots.length === 0) throw new Error(`No snapshots for ${leadKey}`);
+
+  console.table(
+    snapshots.map((s) => ({
+      run_id: s.run_key,
+      date: s.collected_at.slice(0, 10),
+      status: s.status,
+      mobile: s.mobile_score,
+      desktop: s.desktop_score,
+      mobile_lcp_ms: s.mobile_lcp_ms,
+      technologies: s.technologies.join(", "),
+    }))
+  );
+
+  const first = snapshots[0];
+  const last = snapshots[snapshots.length - 1];
+  if (snapshots.length < 2) return;
+
+  console.log(`\n📈 Since ${first.collected_at.slice(0, 10)} (${snapshots.length} snapshots):`);
+  if (first.mobile_score != null && last.mobile_score != null) {
+    console.log(`   Mobile performance: ${first.mobile_score} → ${last.mobile_score} (${signed(last.mobile_score - first.mobile_score)})`);
+  }
+  if (first.desktop_score != null && last.desktop_score != null) {
+    console.log(`   Desktop performance: ${first.desktop_score} → ${last.desktop_score} (${signed(last.desktop_score - first.desktop_score)})`);
+  }
+
+  const added = last.technologies.filter((t) => !first.technologies.includes(t));
+  const removed = first.technologies.filter((t) => !last.technologies.includes(t));
+  if (added.length > 0) console.log(`   Stack added: ${added.join(", ")}`);
+  if (removed.length > 0) console.log(`   Stack removed: ${removed.join(", ")}`);
+}
+
+const TRIGGER_CSV_COLUMNS = [
+  "lead_key",
+  "name",
+  "phone",
+  "website_url",
+  "from_run_id",
+  "to_run_id",
+  "priority",
+  "type",
+  "message",
+];
+
+/**
+ * Trigger events of one lead between two snapshots (default: previous vs latest)
+ */
+function diffLead(store, leadKey, fromId = null, toId = null) {
+  const snapshots = store.getLeadSnapshots(leadKey);
+  const byId = new Map(snapshots.map((s) => [s.snapshot_id, s]));
+
+  let from, to;
+  if (fromId != null && toId != null) {
+    from = byId.get(Number(fromId));
+    to = byId.get(Number(toId));
+    if (!from || !to) {
+      throw new Error(`Unknown snapshot for ${leadKey}. Available: ${[...byId.keys()].join(", ")}`);
+    }
+  } else {
+    if (snapshots.length < 2) return null;
+    [from, to] = snapshots.slice(-2);
+  }
+
+  const before = store.getSnapshotItem(from.snapshot_id);
+  const after = store.getSnapshotItem(to.snapshot_id);
+
+  return {
+    lead_key: leadKey,
+    lead: after.lead,
+    from: { snapshot_id: from.snapshot_id, run_id: from.run_key, collected_at: from.collected_at },
+    to: { snapshot_id: to.snapshot_id, run_id: to.run_key, collected_at: to.collected_at },
+    events: diffSnapshots(before, after),
+  };
+}
+
+function printDiff(diff) {
+  console.log(
+    `\n🔎 ${diff.lead?.name || diff.lead_key} (${diff.lead?.website_url || "-"}): ` +
+      `#${diff.from.snapshot_id} ${diff.from.collected_at.slice(0, 10)} → #${diff.to.snapshot_id} ${diff.to.collected_at.slice(0, 10)}`
+  );
+  if (diff.events.length === 0) {
+    console.log("   No changes");
+    return;
+  }
+
+  const icon = { high: "🔴", medium: "🟠", low: "⚪" };
+  for (const e of diff.events) {
+    console.log(`   ${icon[e.priority]} ${e.type}: ${e.message}`);
+  }
+}
+
+function showDiff(store, positional, args) {
+  const asJson = args.includes("--json");
+  const csvPath = args.find((arg) => arg.startsWith("--csv="))?.slice("--csv=".length);
+
+  let diffs;
+  if (args.includes("--all")) {
+    diffs = store
+      .listCollectedLeads()
+      .map(({ lead_key }) => diffLead(store, lead_key))
+      .filter(Boolean);
+  } else {
+    const [leadArg, fromId, toId] = positional;
+    const leadKey = toLeadKey(leadArg);
+    if (store.getLeadSnapshots(leadKey).length === 0) throw new Error(`No snapshots for ${leadKey}`);
+
+    const diff = diffLead(store, leadKey, fromId, toId);
+    if (!diff) throw new Error(`Only one snapshot for ${leadKey}, nothing to compare`);
+    diffs = [diff];
+  }
+
+  if (csvPath) {
+    const rows = diffs.flatMap((diff) =>
+      diff.events.map((e) => ({
+        lead_key: diff.lead_key,
+        name: diff.lead?.name,
+        phone: diff.lead?.phone,
+        website_url: diff.lead?.website_url,
+        from_run_id: diff.from.run_id,
+        to_run_id: diff.to.run_id,
+        priority: e.priority,
+        type: e.type,
+        message: e.message,
+      }))
+    );
+    writeCsv(csvPath, rows, TRIGGER_CSV_COLUMNS);
+    console.log(`📊 ${rows.length} trigger event(s) written to ${csvPath}`);
+  }
+
+  if (asJson) {
+    console.log(JSON.stringify(diffs, null, 2));
+    return;
+  }
+  if (!csvPath) diffs.forEach(printDiff);
+
+  const withEvents = diffs.filter((d) => d.events.length > 0).length;
+  console.log(`\n${withEvents}/${diffs.length} lead(s) with trigger events`);
+}
+
+const RANKING_CSV_COLUMNS = [
+  "rank",
+  "score",
+  "priority",
+  "lead_key",
+  "name",
+  "phone",
+  "website_url",
+  "address",
+  "found_by",
+  "status",
+  "tags",
+  "reasons",
+];
+
+function rankLeads(store, args) {
+  const option = (name) => args.find((arg) => arg.startsWith(`--${name}=`))?.split("=")[1];
+  const csvPath = option("csv") || path.join(CONFIG.OUT_DIR, "lead_ranking.csv");
+  const limit = Number(option("limit") || 0);
+  const niche = resolveNiche(args);
+
+  const ranked = store
+    .listCollectedLeads()
+    .map(({ lead_key, status }) => {
+      const item = store.getLatestItem(lead_key);
+      const leadScore = scoreLead(item, niche.weights);
+      return {
+        score: leadScore.score,
+        priority: leadScore.priority,
+        lead_key,
+        name: item.lead.name,
+        phone: item.lead.phone,
+        website_url: item.lead.website_url,
+        address: item.lead.address,
+        found_by: item.lead.found_by || [],
+        status,
+        tags: buildLeadTags(item, leadScore, niche),
+        reasons: explainScore(leadScore),
+        breakdown: leadScore.breakdown,
+      };
+    })
+    .sort((a, b) => b.score - a.score || a.lead_key.localeCompare(b.lead_key))
+    .map((row, i) => ({ rank: i + 1, ...row }));
+
+  const rows = limit > 0 ? ranked.slice(0, limit) : ranked;
+
+  if (args.includes("--json")) {
+    console.log(JSON.stringify(rows, null, 2));
+    return;
+  }
+
+  writeCsv(csvPath, rows, RANKING_CSV_COLUMNS);
+  console.table(
+    rows.map(({ rank, score, priority, name, reasons }) => ({ rank, score, priority, name, reasons }))
+  );
+
+  const summary = PRIORITY_THRESHOLDS.map(
+    ({ priority }) => `${priority}: ${rows.filter((row) => row.priority === priority).length}`
+  );
+  console.log(`📊 ${rows.length} lead(s) ranked with ${niche.label} (${summary.join(", ")}) → ${csvPath}`);
+}
+
+// Pagespeed section rebuilt from the archived raw runs, or null without an archive
+function renormalizeLead(leadKey) {
+  const pagespeed = {};
+
+  for (const strategy of ["mobile", "desktop"]) {
+    const archive = readArchivedRuns(leadKey, strategy);
+    if (!archive?.runs?.length) return null;
+
+    const failedRuns = Math.max(0, (archive.runs_requested ?? archive.runs.length) - archive.runs.length);
+    const result = normalizeRuns(archive.runs, { strategy, failedRuns });
+    pagespeed[strategy] = saveScreenshots(result, path.join(CONFIG.OUT_DIR, "screenshots", leadKey));
+  }
+
+  return pagespeed;
+}
+
+function renormalizeLeads(store) {
+  const stats = { leads: 0, no_archive: 0, no_result: 0, failed: 0 };
+
+  for (const { lead_key } of store.listCollectedLeads()) {
+    try {
+      const pagespeed = renormalizeLead(lead_key);
+      if (!pagespeed) {
+        stats.no_archive++;
+        continue;
+      }
+
+      // Only the latest result whose pagespeed stage succeeded matches the archive
+      if (!store.updateLatestStageData(lead_key, "pagespeed", pagespeed)) {
+        stats.no_result++;
+        continue;
+      }
+
+      const itemPath = path.join(CONFIG.OUT_DIR, `${lead_key}.json`);
+      if (fs.existsSync(itemPath)) {
+        const data = readJson(itemPath);
+        writeJson(itemPath, { ...data, item: { ...data.item, pagespeed } });
+      }
+      stats.leads++;
+    } catch (error) {
+      console.warn(`  ⚠️  ${lead_key}: ${error.message}`);
+      stats.failed++;
+    }
+  }
+
+  console.log(
+    `✅ Renormalized ${stats.leads} leads (${stats.no_archive} without archive, ${stats.no_result} without pagespeed result, ${stats.failed} failed)`
+  );
+}
+
+function main() {
+  const [command, ...rest] = process.argv.slice(2);
+  const positional = rest.filter((arg) => !arg.startsWith("--"));
+
+  const store = openLeadStore();
+  try {
+    switch (command) {
+      case "import":
+        importFiles(store, positional[0] || CONFIG.OUT_DIR);
+        break;
+      case "export":
+        exportFiles(store, positional[0] || CONFIG.OUT_DIR);
+        break;
+      case "history":
+        showHistory(store, positional[0]);
+        break;
+      case "diff":
+        showDiff(store, positional, rest);
+        break;
+      case "rank":
+        rankLeads(store, rest);
+        break;
+      case "renormalize":
+        renormalizeLeads(store);
+        break;
+      case "query":
+        runQuery(store, positional[0], rest.includes("--json"));
+        break;
+      default:
+        console.log(
+          "Usage: node src/store/cli.js <import [dir] | query \"<SQL>\" [--json] | export [dir] | history <lead> | diff <lead> [from to] | diff --all [--csv=path] | rank [--csv=path] | renormalize>"
+        );
+        process.exitCode = 1;
+    }
+  } finally {
+    store.close();
+  }
+}
+
+try {
+  main();
+} catch (error) {
+  console.error("❌", error.message);
+  process.exit(1);
+}
@@ -0,0 +1,333 @@
+// src/store/leadStore.js
+// Local SQLite store for leads, pipeline runs, Stage 1 stage results and
+// Stage 2 lead packs. The JSON files in out/ are still written alongside.
+//
+// Example (node src/store/cli.js query "..."):
+//   SELECT name, website_url, mobile_score FROM lead_overview
+//   WHERE found_by LIKE '%perth:dentist%' AND has_chatbot = 0 AND mobile_score < 50
+
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import Database from "better-sqlite3";
+import { CONFIG } from "../config.js";
+import { migrate } from "./schema.js";
+
+// Item fields stored in their own columns/tables; the rest goes to collections.meta
+const ITEM_COLUMNS = new Set(["lead", "status", "error", "errors", "pages", "attempts"]);
+
+const toJson = (value) => (value === undefined ? null : JSON.stringify(value));
+const fromJson = (text) => (text == null ? null : JSON.parse(text));
+const now = () => new Date().toISOString();
+const hashContent = (json) => crypto.createHash("sha256").update(json).digest("hex");
+
+// Sortable, unique run id, e.g. 20261019-173300-3f9a
+function createRunKey(date) {
+  const stamp = date.toISOString().replace(/[-:]/g, "").replace("T", "-").slice(0, 15);
+  return `${stamp}-${crypto.randomBytes(2).toString("hex")}`;
+}
+
+/**
+ * Opens (and creates/migrates) the lead store
+ *
+ * @param {string} [dbPath] - SQLite file (CONFIG.DB_PATH)
+ */
+export function openLeadStore(dbPath = CONFIG.DB_PATH) {
+  fs.mkdirSync(path.dirname(dbPath), { recursive: true });
+
+  const db = new Database(dbPath);
+  db.pragma("journal_mode = WAL");
+  db.pragma("foreign_keys = ON");
+  migrate(db);
+
+  const statements = {
+    upsertLead: db.prepare(`
+      INSERT INTO leads (
+        lead_key, name, website_url, phone, email, address, place_id, rating,
+        user_ratings_total, primary_type, found_by, data, created_at, updated_at
+      ) VALUES (
+        @lead_key, @name, @website_url, @phone, @email, @address, @place_id, @rating,
+        @user_ratings_total, @primary_type, @found_by, @data, @now, @now
+      )
+      ON CONFLICT(lead_key) DO UPDATE SET
+        name = excluded.name,
+        website_url = excluded.website_url,
+        phone = excluded.phone,
+        email = excluded.email,
+        address = excluded.address,
+        place_id = excluded.place_id,
+        rating = excluded.rating,
+        user_ratings_total = excluded.user_ratings_total,
+        primary_type = excluded.primary_type,
+        found_by = excluded.found_by,
+        data = excluded.data,
+        updated_at = excluded.updated_at
+      RETURNING id
+    `),
+    leadId: db.prepare("SELECT id FROM leads WHERE lead_key = ?"),
+    insertRun: db.prepare(
+      "INSERT INTO runs (run_key, stage, started_at, options) VALUES (?, ?, ?, ?)"
+    ),
+    finishRun: db.prepare(
+      "UPDATE runs SET finished_at = ?, stats = ?, manifest = ? WHERE id = ?"
+    ),
+    insertCollection: db.prepare(`
+      INSERT INTO collections (lead_id, run_id, status, error, errors, pages, meta, content_hash, created_at)
+      VALUES (@lead_id, @run_id, @status, @error, @errors, @pages, @meta, @content_hash, @now)
+    `),
+    hasCollection: db.prepare(`
+      SELECT 1 FROM collections c JOIN leads l ON l.id = c.lead_id
+      WHERE l.lead_key = ? AND c.content_hash = ?
+    `),
+    insertStageResult: db.prepare(`
+      INSERT INTO stage_results (collection_id, lead_id, stage, ok, error, data, attempts)
+      VALUES (@collection_id, @lead_id, @stage, @ok, @error, @data, @attempts)
+    `),
+    latestCollection: db.prepare(`
+      SELECT c.*, l.data AS lead_data FROM latest_collections c
+      JOIN leads l ON l.id = c.lead_id
+      WHERE l.lead_key = ?
+    `),
+    collection: db.prepare(`
+      SELECT c.*, l.data AS lead_data FROM collections c
+      JOIN leads l ON l.id = c.lead_id
+      WHERE c.id = ?
+    `),
+    snapshots: db.prepare(
+      "SELECT * FROM lead_snapshots WHERE lead_key = ? ORDER BY collected_at, snapshot_id"
+    ),
+    stageResults: db.prepare("SELECT * FROM stage_results WHERE collection_id = ?"),
+    updateStageData: db.prepare(`
+      UPDATE stage_results SET data = @data
+      WHERE stage = @stage AND ok = 1
+        AND collection_id = (SELECT c.id FROM latest_collections c JOIN leads l ON l.id = c.lead_id WHERE l.lead_key = @lead_key)
+    `),
+    collectedLeads: db.prepare(`
+      SELECT l.lead_key, c.status FROM leads l
+      JOIN latest_collections c ON c.lead_id = l.id
+      ORDER BY l.id
+    `),
+    insertLeadPack: db.prepare(`
+      INSERT INTO lead_packs (lead_id, run_id, ok, pack, error, csv_path, content_hash, created_at)
+      VALUES (@lead_id, @run_id, @ok, @pack, @error, @csv_path, @content_hash, @now)
+    `),
+    hasLeadPackContent: db.prepare(`
+      SELECT 1 FROM lead_packs p JOIN leads l ON l.id = p.lead_id
+      WHERE l.lead_key = ? AND p.content_hash = ?
+    `),
+    hasLeadPack: db.prepare(`
+      SELECT 1 FROM latest_lead_packs p JOIN leads l ON l.id = p.lead_id WHERE l.lead_key = ?
+    `),
+  };
+
+  function upsertLead(leadKey, lead) {
+    return statements.upsertLead.get({
+      lead_key: leadKey,
+      name: lead.name ?? null,
+      website_url: lead.website_url ?? null,
+      phone: lead.phone ?? null,
+      email: lead.email ?? null,
+      address: lead.address ?? null,
+      place_id: lead.place_id ?? null,
+      rating: lead.rating ?? null,
+      user_ratings_total: lead.user_ratings_total ?? null,
+      primary_type: lead.primary_type ?? null,
+      found_by: toJson(lead.found_by ?? []),
+      data: toJson(lead),
+      now: now(),
+    }).id;
+  }
+
+  // Rebuilds a Stage 1 item (same shape as the JSON export) from a collection row
+  function buildItem(row) {
+    const item = {
+      lead: fromJson(row.lead_data),
+      status: row.status,
+      error: row.error,
+      errors: fromJson(row.errors) || {},
+      pages: fromJson(row.pages) || [],
+      attempts: {},
+    };
+
+    for (const result of statements.stageResults.all(row.id)) {
+      item[result.stage] = fromJson(result.data);
+      if (result.attempts) item.attempts[result.stage] = fromJson(result.attempts);
+    }
+
+    return { ...item, ...fromJson(row.meta) };
+  }
+
+  function requireLeadId(leadKey) {
+    const row = statements.leadId.get(leadKey);
+    if (!row) throw new Error(`Lead not in store: ${leadKey}`);
+    return row.id;
+  }
+
+  return {
+    db,
+
+    /**
+     * Records the start of a pipeline run
+     * @returns {{ id: number, run_key: string, started_at: string }}
+     */
+    startRun(stage, options = {}) {
+      const startedAt = new Date();
+      const runKey = createRunKey(startedAt);
+      const { lastInsertRowid } = statements.insertRun.run(
+        runKey, stage, startedAt.toISOString(), toJson(options)
+      );
+      return { id: Number(lastInsertRowid), run_key: runKey, started_at: startedAt.toISOString() };
+    },
+
+    /**
+     * Records the end of a run with its counts and (Stage 1) manifest
+     */
+    finishRun(runId, stats = {}, manifest = null) {
+      statements.finishRun.run(now(), toJson(stats), toJson(manifest), runId);
+    },
+
+    /**
+     * Saves a Stage 1 result ({ item } of out/<lead_key>.json)
+     *
+     * @param {string} leadKey
+     * @param {Object} item - Stage 1 result
+     * @param {Object} options
+     * @param {number} [options.runId]
+     * @param {string[]} options.stages - Stage names (data stored as item[stage])
+     * @param {boolean} [options.skipStored] - Save nothing when the same item is already stored (import)
+     * @returns {number|null} Collection id, or null when skipped
+     */
+    saveCollection: db.transaction((leadKey, item, { runId = null, stages, skipStored = false }) => {
+      const contentHash = hashContent(toJson(item));
+      if (skipStored && statements.hasCollection.get(leadKey, contentHash)) return null;
+
+      const leadId = upsertLead(leadKey, item.lead);
+
+      const meta = Object.fromEntries(
+        Object.entries(item).filter(
+          ([key]) => !ITEM_COLUMNS.has(key) && !stages.includes(key)
+        )
+      );
+
+      const collectionId = Number(statements.insertCollection.run({
+        lead_id: leadId,
+        run_id: runId,
+        status: item.status,
+        error: item.error ?? null,
+        errors: toJson(item.errors ?? {}),
+        pages: toJson(item.pages ?? []),
+        meta: toJson(meta),
+        content_hash: contentHash,
+        now: now(),
+      }).lastInsertRowid);
+
+      for (const stage of stages) {
+        const data = item[stage] ?? null;
+        const error = item.errors?.[stage] ?? null;
+        if (data === null && error === null) continue;
+
+        statements.insertStageResult.run({
+          collection_id: collectionId,
+          lead_id: leadId,
+          stage,
+          ok: data !== null ? 1 : 0,
+          error,
+          data: toJson(data),
+          attempts: toJson(item.attempts?.[stage] ?? null),
+        });
+      }
+
+      return collectionId;
+    }),
+
+    /**
+     * Rebuilds the latest Stage 1 item for a lead (same shape as the JSON export)
+     * @returns {Object|null}
+     */
+    getLatestItem(leadKey) {
+      const row = statements.latestCollection.get(leadKey);
+      return row ? buildItem(row) : null;
+    },
+
+    /**
+     * Rebuilds the Stage 1 item saved as a given snapshot
+     * @returns {Object|null}
+     */
+    getSnapshotItem(snapshotId) {
+      const row = statements.collection.get(snapshotId);
+      return row ? buildItem(row) : null;
+    },
+
+    /**
+     * Every Stage 1 snapshot of a lead, oldest first (by processed_at), with
+     * the headline metrics (see the lead_snapshots view)
+     */
+    getLeadSnapshots(leadKey) {
+      return statements.snapshots.all(leadKey).map((row) => ({
+        ...row,
+        technologies: fromJson(row.technologies) || [],
+      }));
+    },
+
+    /**
+     * Replaces the data of a successful stage in the latest Stage 1 result
+     * (renormalize); no new snapshot is created
+     *
+     * @returns {boolean} false when the latest result has no data for the stage
+     */
+    updateLatestStageData(leadKey, stage, data) {
+      const { changes } = statements.updateStageData.run({ lead_key: leadKey, stage, data: toJson(data) });
+      return changes > 0;
+    },
+
+    /**
+     * Leads with at least one Stage 1 result, with their latest status
+     * @returns {Array<{lead_key: string, status: string}>}
+     */
+    listCollectedLeads() {
+      return statements.collectedLeads.all();
+    },
+
+    /**
+     * Saves a Stage 2 lead pack, or the error that stopped it
+     *
+     * @param {boolean} [options.skipStored] - Save nothing when the same pack is already stored (import)
+     * @returns {boolean} false when skipped
+     */
+    saveLeadPack(leadKey, { runId = null, pack = null, error = null, csvPath = null, skipStored = false }) {
+      const contentHash = pack ? hashContent(toJson(pack)) : null;
+      if (skipStored && contentHash && statements.hasLeadPackContent.get(leadKey, contentHash)) return false;
+
+      statements.insertLeadPack.run({
+        lead_id: requireLeadId(leadKey),
+        run_id: runId,
+        ok: error ? 0 : 1,
+        pack: toJson(pack),
+        error: error ? toJson(error) : null,
+        csv_path: csvPath,
+        content_hash: contentHash,
+        now: now(),
+      });
+      return true;
+    },
+
+    hasLeadPack(leadKey) {
+      return Boolean(statements.hasLeadPack.get(leadKey));
+    },
+
+    /**
+     * Runs a read-only SQL query
+     */
+    query(sql, params = []) {
+      const statement = db.prepare(sql);
+      if (!statement.readonly || !statement.reader) {
+        throw new Error("Only read queries (SELECT/WITH) are allowed");
+      }
+      return statement.all(...params);
+    },
+
+    close() {
+      db.close();
+    },
+  };
+}
@@ -0,0 +1,193 @@
+// src/store/schema.js
+// SQLite schema for the lead store. Migrations run in order and
+// PRAGMA user_version records how many have been applied.
+
+export const MIGRATIONS = [
+  `
+  CREATE TABLE leads (
+    id INTEGER PRIMARY KEY,
+    lead_key TEXT NOT NULL UNIQUE,       -- output file basename (sanitizeFileName(website_url))
+    name TEXT,
+    website_url TEXT,
+    phone TEXT,
+    email TEXT,
+    address TEXT,
+    place_id TEXT,
+    rating REAL,
+    user_ratings_total INTEGER,
+    primary_type TEXT,
+    found_by TEXT,                       -- JSON array of search ids (city:keyword:type)
+    data TEXT NOT NULL,                  -- full lead JSON
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL
+  );
+
+  CREATE TABLE runs (
+    id INTEGER PRIMARY KEY,
+    stage TEXT NOT NULL,                 -- data_collection | analysis | import
+    started_at TEXT NOT NULL,
+    finished_at TEXT,
+    options TEXT,                        -- JSON: CLI flags, input file
+    stats TEXT                           -- JSON: counts per status
+  );
+
+  -- One row per Stage 1 save of a lead (a fresh run or a retry)
+  CREATE TABLE collections (
+    id INTEGER PRIMARY KEY,
+    lead_id INTEGER NOT NULL REFERENCES leads(id),
+    run_id INTEGER REFERENCES runs(id),
+    status TEXT NOT NULL,                -- success | partial | failed
+    error TEXT,
+    errors TEXT,                         -- JSON: stage -> message
+    pages TEXT,                          -- JSON: stored page records
+    meta TEXT,                           -- JSON: remaining item fields (processed_at, retried_stages, ...)
+    created_at TEXT NOT NULL
+  );
+  CREATE INDEX collections_lead ON collections(lead_id, id);
+
+  -- Stage data of a collection
+  CREATE TABLE stage_results (
+    id INTEGER PRIMARY KEY,
+    collection_id INTEGER NOT NULL REFERENCES collections(id),
+    lead_id INTEGER NOT NULL REFERENCES leads(id),
+    stage TEXT NOT NULL,
+    ok INTEGER NOT NULL,
+    error TEXT,
+    data TEXT,                           -- JSON
+    attempts TEXT                        -- JSON: retry history
+  );
+  CREATE INDEX stage_results_collection ON stage_results(collection_id, stage);
+
+  -- Stage 2 output (or its error)
+  CREATE TABLE lead_packs (
+    id INTEGER PRIMARY KEY,
+    lead_id INTEGER NOT NULL REFERENCES leads(id),
+    run_id INTEGER REFERENCES runs(id),
+    ok INTEGER NOT NULL,
+    pack TEXT,                           -- JSON lead pack
+    error TEXT,
+    csv_path TEXT,
+    created_at TEXT NOT NULL
+  );
+  CREATE INDEX lead_packs_lead ON lead_packs(lead_id, id);
+
+  CREATE VIEW latest_collections AS
+    SELECT c.* FROM collections c
+    WHERE c.id = (SELECT MAX(id) FROM collections WHERE lead_id = c.lead_id);
+
+  CREATE VIEW latest_lead_packs AS
+    SELECT p.* FROM lead_packs p
+    WHERE p.id = (SELECT MAX(id) FROM lead_packs WHERE lead_id = p.lead_id AND ok = 1);
+
+  -- One row per lead with the fields people filter on
+  CREATE VIEW lead_overview AS
+    SELECT
+      l.lead_key,
+      l.name,
+      l.website_url,
+      l.phone,
+      l.email,
+      l.address,
+      l.primary_type,
+      l.rating,
+      l.user_ratings_total,
+      l.found_by,
+      c.status,
+      json_extract(c.meta, '$.processed_at') AS processed_at,
+      json_extract(ps.data, '$.mobile.categories.performance') AS mobile_score,
+      json_extract(ps.data, '$.desktop.categories.performance') AS desktop_score,
+      json_extract(sig.data, '$.chatbot.has_chatbot') AS has_chatbot,
+      json_extract(sig.data, '$.chatbot.vendor') AS chat_vendor,
+      json_extract(sig.data, '$.booking.type') AS booking_type,
+      json_extract(crux.data, '$.origin.overall_category') AS crux_category,
+      lp.id IS NOT NULL AS has_lead_pack
+    FROM leads l
+    LEFT JOIN latest_collections c ON c.lead_id = l.id
+    LEFT JOIN stage_results ps ON ps.collection_id = c.id AND ps.stage = 'pagespeed'
+    LEFT JOIN stage_results sig ON sig.collection_id = c.id AND sig.stage = 'signals'
+    LEFT JOIN stage_results crux ON crux.collection_id = c.id AND crux.stage = 'crux'
+    LEFT JOIN latest_lead_packs lp ON lp.lead_id = l.id;
+  `,
+  `
+  -- Run manifests: run_key is also item.run_id and out/runs/<run_key>.json
+  ALTER TABLE runs ADD COLUMN run_key TEXT;
+  ALTER TABLE runs ADD COLUMN manifest TEXT;
+  CREATE UNIQUE INDEX runs_key ON runs(run_key);
+
+  -- Every Stage 1 save of a lead is kept as a snapshot
+  CREATE VIEW lead_snapshots AS
+    SELECT
+      l.lead_key,
+      c.id AS snapshot_id,
+      r.run_key,
+      c.created_at,
+      c.status,
+      json_extract(ps.data, '$.mobile.categories.performance') AS mobile_score,
+      json_extract(ps.data, '$.desktop.categories.performance') AS desktop_score,
+      json_extract(ps.data, '$.mobile.lab.lcp_ms') AS mobile_lcp_ms,
+      json_extract(ps.data, '$.mobile.lab.cls') AS mobile_cls,
+      json_extract(sig.data, '$.chatbot.has_chatbot') AS has_chatbot,
+      json_extract(sig.data, '$.booking.type') AS booking_type,
+      (
+        SELECT json_group_array(json_extract(t.value, '$.name'))
+        FROM json_each(st.data, '$.technologies') t
+      ) AS technologies
+    FROM collections c
+    JOIN leads l ON l.id = c.lead_id
+    LEFT JOIN runs r ON r.id = c.run_id
+    LEFT JOIN stage_results ps ON ps.collection_id = c.id AND ps.stage = 'pagespeed'
+    LEFT JOIN stage_results sig ON sig.collection_id = c.id AND sig.stage = 'signals'
+    LEFT JOIN stage_results st ON st.collection_id = c.id AND st.stage = 'stack';
+  `,
+  `
+  -- import skips files whose content is already stored
+  ALTER TABLE collections ADD COLUMN content_hash TEXT;
+  CREATE INDEX collections_hash ON collections(lead_id, content_hash);
+  ALTER TABLE lead_packs ADD COLUMN content_hash TEXT;
+  CREATE INDEX lead_packs_hash ON lead_packs(lead_id, content_hash);
+
+  -- Snapshots are dated by the Stage 1 processed_at, not by when the row was
+  -- written (an imported older file keeps its own date); oldest first by collected_at
+  DROP VIEW lead_snapshots;
+  CREATE VIEW lead_snapshots AS
+    SELECT
+      l.lead_key,
+      c.id AS snapshot_id,
+      r.run_key,
+      COALESCE(json_extract(c.meta, '$.processed_at'), c.created_at) AS collected_at,
+      c.created_at,
+      c.status,
+      json_extract(ps.data, '$.mobile.categories.performance') AS mobile_score,
+      json_extract(ps.data, '$.desktop.categories.performance') AS desktop_score,
+      json_extract(ps.data, '$.mobile.lab.lcp_ms') AS mobile_lcp_ms,
+      json_extract(ps.data, '$.mobile.lab.cls') AS mobile_cls,
+      json_extract(sig.data, '$.chatbot.has_chatbot') AS has_chatbot,
+      json_extract(sig.data, '$.booking.type') AS booking_type,
+      (
+        SELECT json_group_array(json_extract(t.value, '$.name'))
+        FROM json_each(st.data, '$.technologies') t
+      ) AS technologies
+    FROM collections c
+    JOIN leads l ON l.id = c.lead_id
+    LEFT JOIN runs r ON r.id = c.run_id
+    LEFT JOIN stage_results ps ON ps.collection_id = c.id AND ps.stage = 'pagespeed'
+    LEFT JOIN stage_results sig ON sig.collection_id = c.id AND sig.stage = 'signals'
+    LEFT JOIN stage_results st ON st.collection_id = c.id AND st.stage = 'stack';
+  `,
+];
+
+/**
+ * Applies pending migrations
+ *
+ * @param {import("better-sqlite3").Database} db
+ */
+export function migrate(db) {
+  const version = db.pragma("user_version", { simple: true });
+
+  for (let i = version; i < MIGRATIONS.length; i++) {
+    db.transaction(() => {
+      db.exec(MIGRATIONS[i]);
+      db.pragma(`user_version = ${i + 1}`);
+    })();
+  }
+}
@@ -0,0 +1,199 @@
+// src/triggers/diffSnapshots.js
+// Compares two Stage 1 snapshots of the same lead and returns "trigger
+// events": changes worth a call (chat widget dropped, CMS switch, site down...).
+// A stage is only compared when both snapshots have its data, so a stage
+// skipped with --skip or --only never shows up as "removed".
+
+// Stack categories that identify the site platform (a change = redesign/relaunch)
+const PLATFORM_CATEGORIES = new Set([
+  "CMS",
+  "Headless CMS",
+  "Website Builder",
+  "Ecommerce",
+  "Page Builder",
+]);
+
+// Stack categories counted as tracking tags, next to signals.tracking
+const TRACKING_CATEGORIES = new Set(["Analytics", "Advertising", "CRO"]);
+
+export const DEFAULT_TRIGGER_OPTIONS = {
+  // Performance score change (points, 0-100) that counts as a swing
+  psiSwingPoints: 15,
+};
+
+function event(type, priority, message, before = null, after = null) {
+  return { type, priority, message, before, after };
+}
+
+function setDiff(before, after) {
+  return {
+    added: [...after].filter((x) => !before.has(x)),
+    removed: [...before].filter((x) => !after.has(x)),
+  };
+}
+
+function technologies(stack, categories) {
+  return new Set(
+    (stack?.technologies || [])
+      .filter((tech) => categories.has(tech.category))
+      .map((tech) => tech.name)
+  );
+}
+
+// "meta_pixel" (signals) and "Meta Pixel" (stack) are the same tag
+const tagKey = (name) => name.toLowerCase().replace(/[^a-z0-9]/g, "");
+
+/**
+ * Tracking tags of a snapshot as tagKey -> display name
+ */
+function trackingTags(item) {
+  const tags = new Map(
+    Object.entries(item.signals?.tracking || {})
+      .filter(([, present]) => present)
+      .map(([key]) => [tagKey(key), key])
+  );
+  for (const name of technologies(item.stack, TRACKING_CATEGORIES)) tags.set(tagKey(name), name);
+  return tags;
+}
+
+/**
+ * Whether the homepage answered. null when the snapshot cannot tell
+ * (homepage stages skipped).
+ */
+function isReachable(item) {
+  const homepage = item.pages?.find((page) => page.url === item.lead?.website_url);
+  if (homepage) return homepage.status < 400;
+  if (item.signals) return true;
+  if (item.errors?.signals || item.errors?.stack) return false;
+  return null;
+}
+
+function diffChatbot(before, after) {
+  const was = before.signals.chatbot || {};
+  const is = after.signals.chatbot || {};
+
+  if (!was.has_chatbot && is.has_chatbot) {
+    return [event("chatbot_added", "medium", `Chat widget added (${is.vendor || "unknown"})`, null, is.vendor)];
+  }
+  if (was.has_chatbot && !is.has_chatbot) {
+    return [event("chatbot_removed", "high", `Chat widget removed (${was.vendor || "unknown"})`, was.vendor, null)];
+  }
+  if (was.has_chatbot && is.has_chatbot && was.vendor !== is.vendor) {
+    return [event("chatbot_changed", "medium", `Chat vendor ${was.vendor} → ${is.vendor}`, was.vendor, is.vendor)];
+  }
+  return [];
+}
+
+function diffBooking(before, after) {
+  const was = before.signals.booking?.type || null;
+  const is = after.signals.booking?.type || null;
+
+  if (was === is) return [];
+  if (!was) return [event("booking_added", "low", `Online booking added (${is})`, null, is)];
+  if (!is) return [event("booking_removed", "high", `Online booking removed (${was})`, was, null)];
+  return [event("booking_changed", "medium", `Booking ${was} → ${is}`, was, is)];
+}
+
+function diffTracking(before, after) {
+  const was = trackingTags(before);
+  const is = trackingTags(after);
+  const diff = setDiff(new Set(was.keys()), new Set(is.keys()));
+  const added = diff.added.map((key) => is.get(key));
+  const removed = diff.removed.map((key) => was.get(key));
+  const events = [];
+
+  if (added.length > 0) {
+    events.push(event("tracking_added", "medium", `Tracking added: ${added.join(", ")}`, null, added));
+  }
+  if (removed.length > 0) {
+    events.push(event("tracking_removed", "low", `Tracking removed: ${removed.join(", ")}`, removed, null));
+  }
+  return events;
+}
+
+function diffPlatform(before, after) {
+  const was = technologies(before.stack, PLATFORM_CATEGORIES);
+  const is = technologies(after.stack, PLATFORM_CATEGORIES);
+  const { added, removed } = setDiff(was, is);
+
+  if (added.length === 0 && removed.length === 0) return [];
+  return [
+    event(
+      "cms_changed",
+      "high",
+      `Platform ${[...was].join(", ") || "unknown"} → ${[...is].join(", ") || "unknown"}`,
+      [...was],
+      [...is]
+    ),
+  ];
+}
+
+function diffPerformance(before, after, { psiSwingPoints }) {
+  const events = [];
+
+  for (const strategy of ["mobile", "desktop"]) {
+    const was = before.pagespeed[strategy]?.categories?.performance;
+    const is = after.pagespeed[strategy]?.categories?.performance;
+    if (typeof was !== "number" || typeof is !== "number") continue;
+
+    const delta = is - was;
+    if (Math.abs(delta) < psiSwingPoints) continue;
+
+    events.push(
+      event(
+        delta > 0 ? "psi_improved" : "psi_dropped",
+        delta > 0 ? "medium" : "high",
+        `${strategy} performance ${was} → ${is} (${delta > 0 ? "+" : ""}${delta})`,
+        was,
+        is
+      )
+    );
+  }
+  return events;
+}
+
+function diffAvailability(before, after) {
+  const was = isReachable(before);
+  const is = isReachable(after);
+  if (was === null || is === null || was === is) return [];
+
+  return is
+    ? [event("site_back_up", "medium", "Site is reachable again", false, true)]
+    : [event("site_down", "high", `Site unreachable (${after.errors?.signals || after.errors?.stack || "homepage error"})`, true, false)];
+}
+
+/**
+ * Trigger events between two Stage 1 items of the same lead
+ *
+ * @param {Object} before - Older snapshot (item)
+ * @param {Object} after - Newer snapshot (item)
+ * @param {Object} [options] - See DEFAULT_TRIGGER_OPTIONS
+ * @returns {Array<{ type: string, priority: "high"|"medium"|"low", message: string, before: any, after: any }>}
+ */
+export function diffSnapshots(before, after, options = {}) {
+  const settings = { ...DEFAULT_TRIGGER_OPTIONS, ...options };
+  const both = (stage) => before[stage] != null && after[stage] != null;
+
+  const events = [...diffAvailability(before, after)];
+
+  if (both("signals")) {
+    events.push(...diffChatbot(before, after), ...diffBooking(before, after));
+  }
+  if (both("signals") || both("stack")) {
+    // Compare tracking only over the sources present in both snapshots
+    const pick = (item) => ({
+      signals: both("signals") ? item.signals : null,
+      stack: both("stack") ? item.stack : null,
+    });
+    events.push(...diffTracking(pick(before), pick(after)));
+  }
+  if (both("stack")) {
+    events.push(...diffPlatform(before, after));
+  }
+  if (both("pagespeed")) {
+    events.push(...diffPerformance(before, after, settings));
+  }
+
+  const order = { high: 0, medium: 1, low: 2 };
+  return events.sort((a, b) => order[a.priority] - order[b.priority]);
+}
@@ -0,0 +1,74 @@
+import { sleep } from "./sleep.js";
+
+/**
+ * Token bucket: allows `burst` requests at once, then refills at
+ * `perMinute`. Waiters are served in call order.
+ *
+ * @param {Object} options
+ * @param {number} options.perMinute - Sustained rate (0 = unlimited)
+ * @param {number} [options.burst] - Bucket size
+ * @returns {{ take: () => Promise<void> }}
+ */
+export function createTokenBucket({ perMinute, burst = 1 }) {
+  if (!perMinute) return { take: async () => {} };
+
+  const intervalMs = 60000 / perMinute;
+  let tokens = burst;
+  let lastRefill = Date.now();
+  let queue = Promise.resolve();
+
+  function refill() {
+    const now = Date.now();
+    tokens = Math.min(burst, tokens + (now - lastRefill) / intervalMs);
+    lastRefill = now;
+  }
+
+  return {
+    take() {
+      const turn = queue.then(async () => {
+        refill();
+        if (tokens < 1) {
+          await sleep(Math.ceil((1 - tokens) * intervalMs));
+          refill();
+        }
+        tokens -= 1;
+      });
+      queue = turn.catch(() => {});
+      return turn;
+    },
+  };
+}
+
+/**
+ * Per-host politeness: one request at a time per host, with at least
+ * `minGapMs` between the end of one request and the start of the next
+ *
+ * @param {Object} options
+ * @param {number} options.minGapMs - Pause between requests to the same host
+ * @returns {{ run: (url: string, fn: () => Promise<any>) => Promise<any> }}
+ */
+export function createHostLimiter({ minGapMs }) {
+  const hosts = new Map(); // host -> { tail, lastDoneAt }
+
+  return {
+    async run(url, fn) {
+      const host = new URL(url).host;
+      if (!hosts.has(host)) hosts.set(host, { tail: Promise.resolve(), lastDoneAt: 0 });
+      const state = hosts.get(host);
+
+      const previous = state.tail;
+      let release;
+      state.tail = new Promise((resolve) => (release = resolve));
+      await previous;
+
+      try {
+        const wait = state.lastDoneAt + minGapMs - Date.now();
+        if (wait > 0) await sleep(wait);
+        return await fn();
+      } finally {
+        state.lastDoneAt = Date.now();
+        release();
+      }
+    },
+  };
+}
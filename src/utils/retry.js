@@ -0,0 +1,156 @@
+import { sleep } from "./sleep.js";
+
+// Network error codes worth another try (DNS failures like ENOTFOUND are not)
+const RETRYABLE_NETWORK_CODES = new Set([
+  "ECONNRESET",
+  "ECONNREFUSED",
+  "ETIMEDOUT",
+  "EPIPE",
+  "EAI_AGAIN",
+  "UND_ERR_SOCKET",
+  "UND_ERR_CONNECT_TIMEOUT",
+  "UND_ERR_HEADERS_TIMEOUT",
+  "UND_ERR_BODY_TIMEOUT",
+]);
+
+// Never wait longer than this, even if Retry-After asks for more
+const MAX_RETRY_AFTER_MS = 120000;
+
+/**
+ * Parses a Retry-After header (seconds or HTTP date) into milliseconds
+ */
+export function parseRetryAfter(value) {
+  if (!value) return null;
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Creates an Error for a failed HTTP response, carrying the status
+ * and Retry-After so the retry policy can classify it
+ *
+ * @param {string} message
+ * @param {Object} response - fetch Response, or { status, headers } with plain headers
+ */
+export function httpError(message, response) {
+  const headers = response.headers;
+  const retryAfter = typeof headers?.get === "function"
+    ? headers.get("retry-after")
+    : headers?.["retry-after"];
+
+  const error = new Error(message);
+  error.status = response.status;
+  error.retryAfterMs = parseRetryAfter(retryAfter);
+  return error;
+}
+
+/**
+ * Classifies an error as retryable or not.
+ * HTTP 429/5xx/408 and timeouts/connection drops are retryable;
+ * other 4xx (bad URL, bad key, no data) are not.
+ *
+ * @returns {{ retryable: boolean, reason: string }}
+ */
+export function classifyError(error) {
+  const status = error?.status;
+
+  if (typeof status === "number") {
+    if (status === 429) return { retryable: true, reason: "rate_limited" };
+    if (status === 408) return { retryable: true, reason: "timeout" };
+    if (status >= 500) return { retryable: true, reason: "server_error" };
+    if (status >= 400) return { retryable: false, reason: "client_error" };
+  }
+
+  // TimeoutError: a request's own AbortSignal.timeout fired (e.g. PSI)
+  if (error?.name === "AbortError" || error?.name === "TimeoutError") {
+    return { retryable: true, reason: "timeout" };
+  }
+
+  const code = error?.cause?.code || error?.code;
+  if (code && RETRYABLE_NETWORK_CODES.has(code)) {
+    return { retryable: true, reason: "network" };
+  }
+  if (code === "ENOTFOUND") {
+    return { retryable: false, reason: "dns" };
+  }
+
+  return { retryable: false, reason: "unknown" };
+}
+
+/**
+ * Exponential backoff with jitter: a random delay between half and all of
+ * baseDelayMs * 2^(retry - 1), capped at maxDelayMs
+ */
+function backoffDelay(retry, { baseDelayMs, maxDelayMs }) {
+  const ceiling = Math.min(maxDelayMs, baseDelayMs * 2 ** (retry - 1));
+  return Math.round(ceiling / 2 + Math.random() * (ceiling / 2));
+}
+
+/**
+ * Runs fn with retries according to a policy. Every attempt is recorded;
+ * the history is attached to the returned value holder or to the thrown error.
+ *
+ * @param {Function} fn - Async function to run
+ * @param {Object} policy
+ * @param {number} policy.retries - Retries after the first attempt
+ * @param {number} policy.baseDelayMs - Backoff base
+ * @param {number} [policy.maxDelayMs] - Backoff cap
+ * @param {string} [policy.label] - Stored in each history entry (e.g. "mobile")
+ * @param {Function} [policy.onRetry] - Called with ({ attempt, delayMs, reason, error })
+ * @param {AbortSignal} [policy.signal] - Once aborted, no further attempt is started
+ * @returns {Promise<{ value: any, attempts: Array<Object> }>}
+ */
+export async function withRetry(fn, policy) {
+  const { retries, baseDelayMs, maxDelayMs = 60000, label = null, onRetry, signal } = policy;
+  const attempts = [];
+
+  for (let attempt = 1; ; attempt++) {
+    signal?.throwIfAborted();
+    const startedAt = Date.now();
+
+    try {
+      const value = await fn();
+      attempts.push({
+        label,
+        attempt,
+        ok: true,
+        started_at: new Date(startedAt).toISOString(),
+        duration_ms: Date.now() - startedAt,
+      });
+      return { value, attempts };
+    } catch (error) {
+      const { retryable, reason } = classifyError(error);
+      const willRetry = retryable && attempt <= retries;
+      const delayMs = willRetry
+        ? error.retryAfterMs != null
+          ? Math.min(error.retryAfterMs, MAX_RETRY_AFTER_MS)
+          : backoffDelay(attempt, { baseDelayMs, maxDelayMs })
+        : null;
+
+      attempts.push({
+        label,
+        attempt,
+        ok: false,
+        started_at: new Date(startedAt).toISOString(),
+        duration_ms: Date.now() - startedAt,
+        error: error.message,
+        status: error.status ?? null,
+        reason,
+        retryable,
+        delay_ms: delayMs,
+      });
+
+      if (!willRetry || signal?.aborted) {
+        error.attempts = attempts;
+        throw error;
+      }
+
+      onRetry?.({ attempt, delayMs, reason, error });
+      await sleep(delayMs, signal);
+    }
+  }
+}
@@ -1,4 +1,5 @@
 import * as cheerio from "cheerio";
+import { createPageCache } from "../pages/cache.js";
 
 // ============================================================
 // CONFIGURATION & CONSTANTS
@@ -6,12 +7,10 @@ import * as cheerio from "cheerio";
 
 /**
  * HTTP fetch configuration
+ * (user agent, timeout and size limits: CONFIG.PAGE_FETCH)
  * @const {Object}
  */
 const HTTP_CONFIG = {
-  TIMEOUT_MS: 12000,
-  MAX_BYTES: 900_000, // ~0.9MB
-  USER_AGENT: "Mozilla/5.0 (compatible; LeadBot/1.0; +https://example.com/bot)",
   ACCEPTED_CONTENT_TYPES: ["text/html", "application/xhtml+xml"],
 };
 
@@ -181,13 +180,11 @@ function isSameDomain(baseUrl, targetUrl) {
 // ============================================================
 
 /**
- * Fetches HTML with timeout and size limits
- * Uses streaming to respect max bytes limit
+ * Fetches HTML through the page cache (pages stored by Stage 1 are
+ * served without a request)
  * 
  * @param {string} url - URL to fetch
- * @param {Object} options - Fetch options
- * @param {number} [options.timeoutMs] - Timeout in milliseconds
- * @param {number} [options.maxBytes] - Maximum bytes to read
+ * @param {Object} pages - Page cache (src/pages/cache.js)
  * @returns {Promise<FetchResult>} Fetch result
  * 
  * @typedef {Object} FetchResult
@@ -198,60 +195,31 @@ function isSameDomain(baseUrl, targetUrl) {
  * @property {string} html - HTML content (truncated if needed)
  * @property {string} [error] - Error message if failed
  */
-async function fetchHtmlWithLimits(url, options = {}) {
-  const config = {
-    timeoutMs: options.timeoutMs ?? HTTP_CONFIG.TIMEOUT_MS,
-    maxBytes: options.maxBytes ?? HTTP_CONFIG.MAX_BYTES,
-  };
-
-  const controller = new AbortController();
-  const timeoutId = setTimeout(() => controller.abort(), config.timeoutMs);
-
+async function fetchHtmlWithLimits(url, pages) {
   try {
-    const response = await fetch(url, {
-      signal: controller.signal,
-      headers: {
-        "user-agent": HTTP_CONFIG.USER_AGENT,
-        "accept": HTTP_CONFIG.ACCEPTED_CONTENT_TYPES.join(","),
-      },
-      redirect: "follow",
-    });
-
-    const contentType = response.headers.get("content-type") || "";
+    const page = await pages.get(url);
+    const contentType = page.content_type || "";
     const isHtmlContent = HTTP_CONFIG.ACCEPTED_CONTENT_TYPES.some(
       type => contentType.includes(type)
     );
 
     // Validate response
-    if (!response.ok) {
-      return {
-        ok: false,
-        url,
-        status: response.status,
-        contentType,
-        html: "",
-      };
-    }
-
-    if (!isHtmlContent) {
+    if (!page.ok || !isHtmlContent) {
       return {
         ok: false,
         url,
-        status: response.status,
+        status: page.status,
         contentType,
         html: "",
       };
     }
 
-    // Stream response with size limit
-    const html = await readResponseWithLimit(response, config.maxBytes);
-
     return {
       ok: true,
-      url: response.url,
-      status: response.status,
+      url: page.final_url,
+      status: page.status,
       contentType,
-      html,
+      html: page.html,
     };
 
   } catch (error) {
@@ -263,69 +231,7 @@ async function fetchHtmlWithLimits(url, options = {}) {
       html: "",
       error: String(error?.message || error),
     };
-  } finally {
-    clearTimeout(timeoutId);
-  }
-}
-
-/**
- * Reads response body with byte limit using streaming
- * 
- * @private
- * @param {Response} response - Fetch response
- * @param {number} maxBytes - Maximum bytes to read
- * @returns {Promise<string>} HTML content
- */
-async function readResponseWithLimit(response, maxBytes) {
-  const reader = response.body?.getReader?.();
-  
-  // Fallback for environments without streaming
-  if (!reader) {
-    const text = await response.text();
-    return text.slice(0, maxBytes);
-  }
-
-  const chunks = [];
-  let totalBytes = 0;
-
-  while (true) {
-    const { done, value } = await reader.read();
-    
-    if (done) break;
-    
-    totalBytes += value.byteLength;
-    
-    if (totalBytes > maxBytes) {
-      chunks.push(value.slice(0, maxBytes - (totalBytes - value.byteLength)));
-      break;
-    }
-    
-    chunks.push(value);
   }
-
-  // Efficiently merge chunks
-  const mergedArray = mergeUint8Arrays(chunks);
-  return new TextDecoder("utf-8").decode(mergedArray);
-}
-
-/**
- * Efficiently merges Uint8Array chunks
- * 
- * @private
- * @param {Uint8Array[]} chunks - Array of byte chunks
- * @returns {Uint8Array} Merged array
- */
-function mergeUint8Arrays(chunks) {
-  const totalLength = chunks.reduce((sum, chunk) => sum + chunk.byteLength, 0);
-  const merged = new Uint8Array(totalLength);
-  
-  let offset = 0;
-  for (const chunk of chunks) {
-    merged.set(chunk, offset);
-    offset += chunk.byteLength;
-  }
-  
-  return merged;
 }
 
 // ============================================================
@@ -821,6 +727,8 @@ export function buildSiteTokens(snapshot) {
  * 6. Builds tokenized representation
  * 
  * @param {string} websiteUrl - Website URL to scrape
+ * @param {Object} [options]
+ * @param {Object} [options.pages] - Page cache, e.g. seeded with Stage 1 item.pages
  * @returns {Promise<ScrapingResult>} Scraping result
  * 
  * @typedef {Object} ScrapingResult
@@ -837,7 +745,7 @@ export function buildSiteTokens(snapshot) {
  *   console.log(result.base.vendors.chatVendors); // ['intercom']
  * }
  */
-export async function scrapeSiteSnapshot(websiteUrl) {
+export async function scrapeSiteSnapshot(websiteUrl, { pages = createPageCache() } = {}) {
   // Validate and normalize URL
   const normalizedUrl = normalizeUrl(websiteUrl);
   
@@ -852,7 +760,7 @@ export async function scrapeSiteSnapshot(websiteUrl) {
   }
 
   // Fetch base page
-  const baseFetch = await fetchHtmlWithLimits(normalizedUrl);
+  const baseFetch = await fetchHtmlWithLimits(normalizedUrl, pages);
   
   if (!baseFetch.ok) {
     return {
@@ -876,7 +784,7 @@ export async function scrapeSiteSnapshot(websiteUrl) {
   const importantUrls = selectImportantPages(baseFetch.url, hrefs);
 
   // Fetch and process additional pages
-  const extraPages = await fetchAdditionalPages(importantUrls);
+  const extraPages = await fetchAdditionalPages(importantUrls, pages);
 
   // Build final snapshot
   const snapshot = {
@@ -896,13 +804,14 @@ export async function scrapeSiteSnapshot(websiteUrl) {
  * 
  * @private
  * @param {string[]} urls - URLs to fetch
+ * @param {Object} pages - Page cache
  * @returns {Promise<PageSignals[]>} Array of page signals
  */
-async function fetchAdditionalPages(urls) {
+async function fetchAdditionalPages(urls, pages) {
   const results = [];
   
   for (const url of urls) {
-    const fetchResult = await fetchHtmlWithLimits(url);
+    const fetchResult = await fetchHtmlWithLimits(url, pages);
     
     if (!fetchResult.ok) continue;
     
@@ -1,3 +1,20 @@
-export function sleep(ms) {
-  return new Promise((r) => setTimeout(r, ms));
-}
\ No newline at end of file
+/**
+ * Waits ms; with a signal, rejects with its reason as soon as it aborts
+ */
+export function sleep(ms, signal) {
+  if (!signal) return new Promise((r) => setTimeout(r, ms));
+
+  return new Promise((resolve, reject) => {
+    if (signal.aborted) return reject(signal.reason);
+
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    signal.addEventListener("abort", onAbort, { once: true });
+  });
+}
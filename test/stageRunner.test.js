@@ -0,0 +1,84 @@
+// test/stageRunner.test.js
+// Stage timeout around the shared local Lighthouse slot (src/stages/runner.js,
+// src/pagespeed/lighthouse.js) and the page fetches it cancels. Run with: npm test
+
+import http from "node:http";
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { runStage } from "../src/stages/runner.js";
+import { inLighthouseSlot } from "../src/pagespeed/lighthouse.js";
+import { sleep } from "../src/utils/sleep.js";
+import { fetchPage } from "../src/pages/fetchPage.js";
+
+const lighthouseStage = (run, timeoutMs = 200) => ({
+  name: "pagespeed",
+  timeoutMs,
+  retry: { retries: 0, baseDelayMs: 0 },
+  run,
+});
+
+const runForLead = (stage) =>
+  runStage(stage, {
+    url: "https://example.com/",
+    leadKey: "example-com",
+    lead: {},
+    log: () => {},
+    history: [],
+    results: {},
+    pages: null,
+  });
+
+test("a slow audit of the lead itself times out while its other strategy waits for the slot", async () => {
+  // Mobile and desktop run side by side, as in the pagespeed stage
+  const stage = lighthouseStage(({ signal, untimed }) =>
+    Promise.all([
+      inLighthouseSlot(() => sleep(2000, signal), { untimed }),
+      inLighthouseSlot(() => sleep(10, signal), { untimed }),
+    ])
+  );
+
+  const startedAt = Date.now();
+  await assert.rejects(runForLead(stage), { code: "STAGE_TIMEOUT" });
+  assert.ok(Date.now() - startedAt < 1000, "timed out on the stage clock, not after the audit");
+});
+
+test("waiting behind another lead's audit does not count against the stage timeout", async () => {
+  const otherLead = inLighthouseSlot(() => sleep(400));
+  const stage = lighthouseStage(({ signal, untimed }) =>
+    inLighthouseSlot(() => sleep(50, signal).then(() => "done"), { untimed })
+  );
+
+  assert.equal(await runForLead(stage), "done");
+  await otherLead;
+});
+
+test("time behind another lead is not counted, the lead's own audit still is", async () => {
+  const otherLead = inLighthouseSlot(() => sleep(300));
+  const stage = lighthouseStage(({ signal, untimed }) =>
+    inLighthouseSlot(() => sleep(2000, signal), { untimed })
+  );
+
+  const startedAt = Date.now();
+  await assert.rejects(runForLead(stage), { code: "STAGE_TIMEOUT" });
+  const elapsed = Date.now() - startedAt;
+  assert.ok(elapsed >= 450 && elapsed < 1000, `timed out after the wait plus 200 ms (${elapsed} ms)`);
+  await otherLead;
+});
+
+test("the stage timeout cancels a page fetch still waiting for the site", async () => {
+  let closed;
+  const requestClosed = new Promise((resolve) => (closed = resolve));
+  // Never answers; the fetch's own PAGE_FETCH timer is far longer than the stage timeout
+  const server = http.createServer((req) => req.on("close", closed));
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  const url = `http://127.0.0.1:${server.address().port}/`;
+
+  try {
+    const stage = lighthouseStage(({ signal }) => fetchPage(url, { signal }));
+    await assert.rejects(runForLead(stage), { code: "STAGE_TIMEOUT" });
+    const cancelled = await Promise.race([requestClosed.then(() => true), sleep(1000).then(() => false)]);
+    assert.ok(cancelled, "request to the site was aborted with the stage");
+  } finally {
+    server.close();
+  }
+});